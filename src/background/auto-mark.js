@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * This module marks tabs automatically using the rules from
+ * {@link module:common/auto-mark-rules}. Tabs are checked when they are
+ * created and whenever their URL changes.
+ *
+ * A mark that was set by a rule is removed again when the tab navigates to a
+ * URL that no rule matches. Marks that the user set manually are never
+ * replaced. The color that a rule set is stored next to the mark so that this
+ * also works after the browser is restarted.
+ *
+ * @module
+ */
+
+import {
+    EventListener,
+} from '../common/events.js';
+
+import {
+    findMatchingRule,
+} from '../common/auto-mark-rules.js';
+
+import {
+    addTabMark,
+    createTabMark,
+    getTabAutoMark,
+    getTabMarks,
+    removeTabMark,
+    removeTabMarkColor,
+    setTabAutoMark,
+} from '../background/marker-tab-data.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ * @typedef {import('../common/auto-mark-rules.js').AutoMarkRule} AutoMarkRule
+ */
+null;
+
+
+/** @type {AutoMarkRule[]} The rules that are currently used, in priority order. */
+export let AutoMarkRules = [];
+/** `true` if rules add a mark to a tab's other marks instead of replacing them. */
+export let AutoMarkAddsMarks = false;
+
+/** @type {EventListener[]} */
+let listeners = [];
+
+let currentOp = null;
+
+/**
+ * Run an operation after all previous operations have completed.
+ *
+ * @param {function(): Promise<any>} callback The operation.
+ * @returns {Promise<void>} Resolves when the operation is done.
+ */
+function queueOp(callback) {
+    const lastOp = currentOp;
+    currentOp = (async () => {
+        try {
+            await lastOp;
+        } catch (error) { }
+        try {
+            await callback();
+        } catch (error) {
+            console.error('Failed to automatically mark tabs.\nError:\n', error);
+        }
+    })();
+    return currentOp;
+}
+
+/**
+ * Update a tab's mark to reflect the rule that matches its URL.
+ *
+ * @param {number} tabId Id of the tab.
+ * @param {string | null} url The tab's current URL. `null` to remove any mark that was set by a rule.
+ */
+async function applyRules(tabId, url) {
+    const rule = url ? findMatchingRule(AutoMarkRules, url) : null;
+    const wanted = rule ? rule.color : null;
+    const previous = await getTabAutoMark(tabId);
+    if (wanted === previous) return;
+
+    const marks = await getTabMarks(tabId);
+    if (AutoMarkAddsMarks) {
+        if (previous && marks.includes(previous)) {
+            await removeTabMarkColor(tabId, previous);
+        }
+        if (wanted && !marks.includes(wanted)) {
+            await addTabMark(tabId, wanted);
+        }
+    } else {
+        const isManualMark = marks.length > 0 && !(previous && marks.length === 1 && marks[0] === previous);
+        if (isManualMark) {
+            await setTabAutoMark(tabId, null);
+            return;
+        }
+        if (wanted) {
+            await createTabMark(tabId, wanted);
+        } else if (marks.length > 0) {
+            await removeTabMark(tabId);
+        }
+    }
+
+    await setTabAutoMark(tabId, wanted);
+}
+
+/**
+ * Check the rules for all open tabs.
+ *
+ * @param {boolean} remove `true` to remove all marks that were set by rules.
+ */
+async function applyRulesToAllTabs(remove) {
+    const tabs = await browser.tabs.query({});
+    await Promise.all(tabs.map(tab => applyRules(tab.id, remove ? null : tab.url)));
+}
+
+/** Configure the rules that are used to mark tabs.
+ *
+ * @export
+ * @param {AutoMarkRule[]} rules Rules in priority order. Use an empty array to stop marking tabs automatically.
+ * @param {Object} [Options]
+ * @param {boolean} [Options.addMarks=false] Add the rule's color to the tab's other marks instead of replacing them. Should be `true` when tabs can have multiple marks.
+ */
+export function setAutoMarkRules(rules, { addMarks = false } = {}) {
+    const wasEnabled = AutoMarkRules.length > 0;
+    const enabled = rules.length > 0;
+
+    AutoMarkRules = rules.slice();
+    AutoMarkAddsMarks = addMarks;
+
+    if (enabled && listeners.length === 0) {
+        listeners = [
+            new EventListener(browser.tabs.onCreated, (tab) => {
+                queueOp(() => applyRules(tab.id, tab.url));
+            }),
+            new EventListener(browser.tabs.onUpdated, (tabId, changeInfo, tab) => {
+                if (!changeInfo.url) return;
+                queueOp(() => applyRules(tabId, tab.url));
+            }, { properties: ['url'] }),
+        ];
+    } else if (!enabled) {
+        for (const listener of listeners) {
+            listener.dispose();
+        }
+        listeners = [];
+    }
+
+    if (!enabled && !wasEnabled) return;
+    return queueOp(() => applyRulesToAllTabs(!enabled));
+}
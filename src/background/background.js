@@ -8,11 +8,16 @@ import {
     kCOLORS,
     computeTstStyle,
     getBase64SVGIcon,
+    getPalette,
+    getColorNames,
+    getColorTitle,
+    getCycleColors,
     isColorName,
 } from '../common/common.js';
 
 import {
     kTST_ID,
+    getTreeTabs,
     unregisterFromTST,
 } from '../tree-style-tab/utilities.js';
 
@@ -22,7 +27,15 @@ import {
 
 import {
     createTabMark,
+    addTabMark,
+    removeTabMarkColor,
+    getMarkedTabIds,
     getTabMark,
+    getTabMarks,
+    getTabLabel,
+    setTabLabel,
+    getTabExpiry,
+    setTabExpiry,
     removeTabMark,
     useSessionStorage,
     setUseSessionStorage,
@@ -30,13 +43,104 @@ import {
 
 import {
     setTSTMarkedState,
+    setTSTColorNames,
     setTSTSyncEnabled,
     forceNotifyTSTState,
 } from '../background/tst-custom-state-sync.js';
 
+import {
+    setTSTLabelDisplay,
+    forceNotifyTSTLabels,
+} from '../background/tst-label-sync.js';
+
+import {
+    setWindowMark,
+    setWindowMarksUseSessionStorage,
+} from '../background/window-mark-data.js';
+
+import {
+    forceNotifyTSTWindowState,
+    setWindowMarkDisplay,
+} from '../background/window-mark-display.js';
+
+import {
+    notifyTSTTreeAttached,
+    setInheritedColors,
+    setTSTAttachNotificationsEnabled,
+} from '../background/mark-inheritance.js';
+
+import {
+    setAutoMarkRules,
+} from '../background/auto-mark.js';
+
+import {
+    getAutoMarkRules,
+} from '../common/auto-mark-rules.js';
+
+import {
+    focusMarkedTab,
+} from '../background/marked-tab-navigation.js';
+
+import {
+    getExpiryTime,
+    kEXPIRY_CHOICES,
+    setMarkExpiryEnabled,
+} from '../background/mark-expiry.js';
+
+import {
+    getSiteKey,
+} from '../common/site-matching.js';
+
+import {
+    findClickAction,
+} from '../common/click-bindings.js';
+
+import {
+    clearUrlMarks,
+    setUrlMarkStoreConfig,
+} from '../background/url-mark-store.js';
+
+import {
+    getColorActionConfirmationCount,
+    getColorActionPermissions,
+    hasColorActionPermissions,
+    kCOLOR_ACTIONS,
+    performColorAction,
+    requestColorActionPermissions,
+} from '../background/color-actions.js';
+
+import {
+    getMarkHistoryState,
+    onMarkHistoryChanged,
+    recordMarkChanges,
+    recordTabMoves,
+    redoMarkChange,
+    setMarkHistorySize,
+    undoMarkChange,
+} from '../background/mark-history.js';
+
+import {
+    gatherTabsWithColor,
+    sortTabsByColor,
+} from '../background/tab-sorting.js';
+
+import {
+    applyImportMarks,
+    exportMarks,
+    previewImportMarks,
+} from '../background/mark-backup.js';
+
+import {
+    handleExternalMessage,
+    isAllowedExtension,
+    parseExtensionIds,
+    setExternalApiConfig,
+} from '../background/external-api.js';
+
 
 /**
  * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ * @typedef {import('../common/common.js').MarkedTabInfo} MarkedTabInfo
  */
 null;
 
@@ -55,12 +159,25 @@ window.addEventListener('beforeunload', () => {
 });
 async function registerToTST() {
     try {
+        if (isTSTContextMenuRegistered) {
+            // TST removes the context menu items when we unregister:
+            isTSTContextMenuRegistered = false;
+            updateContextMenu({ rebuild: true });
+        }
         await unregisterFromTST();
+        setTSTAttachNotificationsEnabled(false);
         if (!settings.enabled)
             return true;
+        const useContextMenu = settings.tst_contextMenu_enabled && settings.contextMenu_setColor_enabled;
+        const inheritMarks = settings.inheritMarks_enabled;
         if (
             (!settings.tst_class_enabled || !settings.tst_class_name) &&
-            (!settings.tst_customStyle_enabled || !settings.tst_customStyle)
+            (!settings.tst_customStyle_enabled || !settings.tst_customStyle) &&
+            !settings.tst_label_tooltip_enabled &&
+            !settings.tst_label_text_enabled &&
+            !useContextMenu &&
+            !settings.tst_clickToMark_enabled &&
+            !inheritMarks
         ) {
             return true;
         }
@@ -72,6 +189,16 @@ async function registerToTST() {
             // Remove colors when this addon is disabled:
             'wait-for-shutdown',
         ];
+        if (useContextMenu) {
+            listeningTypes.push('fake-contextMenu-click', 'fake-contextMenu-shown');
+        }
+        if (settings.tst_clickToMark_enabled) {
+            listeningTypes.push('tab-mousedown', 'tab-clicked');
+        }
+        if (inheritMarks) {
+            // Find the parent of new tabs as soon as they are attached:
+            listeningTypes.push('tree-attached');
+        }
 
         const style = computeTstStyle(settings);
 
@@ -83,6 +210,12 @@ async function registerToTST() {
             style: style || ' ',
         };
         await browser.runtime.sendMessage(kTST_ID, registrationDetails);
+        setTSTAttachNotificationsEnabled(inheritMarks);
+
+        if (useContextMenu) {
+            isTSTContextMenuRegistered = true;
+            updateContextMenu({ rebuild: true });
+        }
     } catch (error) {
         console.error('Failed to register to Tree Style Tab.\nError:\n', error);
         return false;
@@ -93,10 +226,54 @@ async function registerToTST() {
 // #endregion Tree Style Tab
 
 /**
- * Toggle marker on some tabs.
+ * Change the mark of some tabs to the next or previous color in
+ * {@link getCycleColors}. All tabs get the same color, which is chosen based
+ * on the first tab's current mark.
+ *
+ * @param {Object} details Configure how the color should be changed.
+ * @param {null | BrowserTab | BrowserTab[]} details.tabs Tabs whose mark should be changed.
+ * @param {boolean} [details.backwards=false] `true` to go to the previous color instead of the next one.
+ */
+async function cycleTabColor({ tabs, backwards = false } = /**@type {any}*/ ({})) {
+    if (!settings.enabled || !tabs)
+        return;
+    if (!Array.isArray(tabs))
+        tabs = [tabs];
+    if (tabs.length === 0)
+        return;
+
+    const colors = getCycleColors();
+    if (colors.length === 0)
+        return;
+
+    const tabIds = tabs.map(tab => tab.id);
+
+    await recordMarkChanges(tabIds, async () => {
+        const currentColor = (await getTabMark(tabIds[0])) || 'toolbar';
+        const currentIndex = colors.indexOf(currentColor);
+        let nextIndex;
+        if (currentIndex < 0) {
+            nextIndex = backwards ? colors.length - 1 : 0;
+        } else {
+            nextIndex = (currentIndex + (backwards ? -1 : 1) + colors.length) % colors.length;
+        }
+        const nextColor = colors[nextIndex];
+
+        if (nextColor === 'toolbar') {
+            await removeTabMark(tabIds);
+        } else {
+            await Promise.all(tabIds.map(tabId => createTabMark(tabId, nextColor)));
+        }
+    });
+}
+
+/**
+ * Toggle marker on some tabs. If tabs can have multiple marks then only the
+ * toggled color is added or removed, otherwise the toggled color replaces any
+ * other mark.
  *
  * @param {Object} details Configure what markers should be toggled.
- * @param {keyof kCOLORS} details.colorToToggle The color to toggle on or off.
+ * @param {string} details.colorToToggle The color to toggle on or off.
  * @param {null | BrowserTab | BrowserTab[]} details.tabs Tabs whose marker should be toggled.
  */
 async function toggleTabColor({ tabs, colorToToggle } = /**@type {any}*/ ({})) {
@@ -104,30 +281,69 @@ async function toggleTabColor({ tabs, colorToToggle } = /**@type {any}*/ ({})) {
         return;
     if (!Array.isArray(tabs))
         tabs = [tabs];
-    if (!Object.keys(kCOLORS).includes(colorToToggle)) {
+    if (!isColorName(colorToToggle)) {
         throw new Error(`Can't toggle the unknown color "${colorToToggle}"`);
     }
 
     const tabIds = tabs.map(tab => tab.id);
 
-    // Are most tabs marked or un-marked?
-    const currentState = await Promise.all(tabIds.map(tabId => getTabMark(tabId)));
+    await recordMarkChanges(tabIds, async () => {
+        // Are most tabs marked or un-marked?
+        const currentState = await Promise.all(tabIds.map(tabId => getTabMarks(tabId)));
 
-    const totalCount = currentState.filter(state => state !== undefined).length; // Count without errors.
-    const markedCount = currentState.filter(state => state === colorToToggle).length; // Count for marked tabs.
+        const markedCount = currentState.filter(colors => colors.includes(colorToToggle)).length; // Count for marked tabs.
 
-    if (markedCount < totalCount) {
-        await Promise.all(tabIds.map(tabId => createTabMark(tabId, colorToToggle)));
-    } else {
-        await removeTabMark(tabIds);
+        if (markedCount < tabIds.length) {
+            if (settings.allowMultipleMarks) {
+                await Promise.all(tabIds.map(tabId => addTabMark(tabId, colorToToggle)));
+            } else {
+                await Promise.all(tabIds.map(tabId => createTabMark(tabId, colorToToggle)));
+            }
+        } else {
+            if (settings.allowMultipleMarks) {
+                await Promise.all(tabIds.map(tabId => removeTabMarkColor(tabId, colorToToggle)));
+            } else {
+                await removeTabMark(tabIds);
+            }
+        }
+    });
+}
+
+/**
+ * Mark some tabs with a color. Tabs that already have the color keep it. If
+ * tabs can have multiple marks then the color is added to their other marks,
+ * otherwise it replaces them.
+ *
+ * @param {Object} details
+ * @param {string} details.color The color to mark the tabs with.
+ * @param {null | BrowserTab | BrowserTab[]} details.tabs Tabs that should be marked.
+ */
+async function addTabColor({ tabs, color } = /**@type {any}*/ ({})) {
+    if (!settings.enabled || !tabs)
+        return;
+    if (!Array.isArray(tabs))
+        tabs = [tabs];
+    if (!isColorName(color)) {
+        throw new Error(`Can't mark tabs with the unknown color "${color}"`);
     }
+
+    const tabIds = tabs.map(tab => tab.id);
+
+    await recordMarkChanges(tabIds, async () => {
+        if (settings.allowMultipleMarks) {
+            await Promise.all(tabIds.map(tabId => addTabMark(tabId, color)));
+        } else {
+            await Promise.all(tabIds.map(tabId => createTabMark(tabId, color)));
+        }
+    });
 }
 
 /**
- * Toggle marker on some tabs.
+ * Set the marker of some tabs. If tabs can have multiple marks then the
+ * color is toggled instead.
  *
  * @param {Object} details
- * @param {keyof kCOLORS} [details.value] If `undefined` then color is cleared.
+ * @param {string} [details.value] If `toolbar` then color is cleared.
  * @param {null | BrowserTab | BrowserTab[]} details.tabs Tabs whose mark should be changed.
  */
 async function setTabColor({ tabs, value = 'toolbar' } = /**@type {any}*/ ({})) {
@@ -136,20 +352,468 @@ async function setTabColor({ tabs, value = 'toolbar' } = /**@type {any}*/ ({}))
     if (!Array.isArray(tabs))
         tabs = [tabs];
 
+    if (value !== 'toolbar' && settings.allowMultipleMarks) {
+        await toggleTabColor({ tabs, colorToToggle: value });
+        return;
+    }
+
     const tabIds = tabs.map(tab => tab.id);
 
-    if (value !== 'toolbar') {
-        await Promise.all(tabIds.map(tabId => createTabMark(tabId, value)));
-    } else {
-        await removeTabMark(tabIds);
+    await recordMarkChanges(tabIds, async () => {
+        if (value !== 'toolbar') {
+            await Promise.all(tabIds.map(tabId => createTabMark(tabId, value)));
+        } else {
+            await removeTabMark(tabIds);
+        }
+    });
+}
+
+
+/**
+ * Get info about all marked tabs in all windows.
+ *
+ * @returns {Promise<MarkedTabInfo[]>} The marked tabs sorted by window and then by their position in the window.
+ */
+async function getMarkedTabInfos() {
+    const tabIds = await getMarkedTabIds();
+    if (!tabIds) return [];
+    const infos = await Promise.all(tabIds.map(async (id) => {
+        const tabId = parseInt(id);
+        try {
+            const [tab, colors, label] = await Promise.all([
+                browser.tabs.get(tabId),
+                getTabMarks(tabId),
+                getTabLabel(tabId),
+            ]);
+            if (colors.length === 0) return null;
+            return { tab, info: { tabId, windowId: tab.windowId, title: tab.title, url: tab.url, favIconUrl: tab.favIconUrl, colors, label } };
+        } catch (error) {
+            // Tab was closed.
+            return null;
+        }
+    }));
+    return infos
+        .filter(entry => entry)
+        .sort((a, b) => a.tab.windowId - b.tab.windowId || a.tab.index - b.tab.index)
+        .map(entry => entry.info);
+}
+
+
+/**
+ * Open a small window where the user can edit the label of some tabs' marks.
+ *
+ * @param {BrowserTab[]} tabs The tabs whose label should be edited.
+ */
+async function openLabelDialog(tabs) {
+    try {
+        const tabIds = tabs.map(tab => tab.id).join(',');
+        await browser.windows.create({
+            type: 'popup',
+            url: browser.runtime.getURL('label/label.html?tabIds=' + tabIds),
+            width: 450,
+            height: 200,
+        });
+    } catch (error) {
+        console.error('Failed to open label dialog.\nError:\n', error);
+    }
+}
+
+/**
+ * Open a small window where the user can choose when some tabs' marks expire.
+ *
+ * @param {BrowserTab[]} tabs The tabs whose expiry time should be edited.
+ */
+async function openExpiryDialog(tabs) {
+    try {
+        const tabIds = tabs.map(tab => tab.id).join(',');
+        await browser.windows.create({
+            type: 'popup',
+            url: browser.runtime.getURL('expiry/expiry.html?tabIds=' + tabIds),
+            width: 450,
+            height: 200,
+        });
+    } catch (error) {
+        console.error('Failed to open expiry dialog.\nError:\n', error);
+    }
+}
+
+/**
+ * Open a small window where the user can grant the permissions that a color
+ * action needs or confirm the action. The action is performed after the
+ * permissions are granted or the action is confirmed.
+ *
+ * @param {import('../background/color-actions.js').ColorAction} action The action that needs the permissions.
+ * @param {string} color The color of the tabs that the action affects.
+ * @param {number} windowId The window that the action was started from.
+ * @param {Object} [Options]
+ * @param {number} [Options.confirmCount=0] Ask the user to confirm the action for this many tabs instead of asking for permissions.
+ */
+async function openColorActionDialog(action, color, windowId, { confirmCount = 0 } = {}) {
+    try {
+        const params = new URLSearchParams({
+            permissions: confirmCount > 0 ? '' : getColorActionPermissions(action).join(','),
+            action,
+            color,
+            windowId: String(windowId),
+            confirmCount: String(confirmCount),
+        });
+        await browser.windows.create({
+            type: 'popup',
+            url: browser.runtime.getURL('permission/permission.html?' + params.toString()),
+            width: 450,
+            height: 200,
+        });
+    } catch (error) {
+        console.error('Failed to open color action dialog.\nError:\n', error);
+    }
+}
+
+/**
+ * Get some tabs together with all of their descendants in Tree Style Tab's
+ * tree. If Tree Style Tab isn't available then only the provided tabs are
+ * returned.
+ *
+ * @param {BrowserTab[]} tabs The root tabs.
+ * @returns {Promise<BrowserTab[]>} The tabs and their descendants without duplicates.
+ */
+async function getTabsWithDescendants(tabs) {
+    try {
+        const treeTabs = (await getTreeTabs(tabs.map(tab => tab.id))).filter(tab => tab);
+        if (treeTabs.length > 0) {
+            const seen = new Set();
+            return treeTabs.filter(tab => {
+                if (seen.has(tab.id)) return false;
+                seen.add(tab.id);
+                return true;
+            });
+        }
+    } catch (error) {
+        console.warn('Failed to get descendant tabs from Tree Style Tab, only the selected tabs will be affected.\nError:\n', error);
     }
+    return tabs;
 }
 
+/**
+ * Get all tabs that are from the same site as a tab. Which tabs are searched
+ * and how sites are compared is decided by the settings.
+ *
+ * @param {BrowserTab} tab The tab whose site should be matched.
+ * @returns {Promise<BrowserTab[]>} Tabs from the same site, including the provided tab.
+ */
+async function getTabsFromSameSite(tab) {
+    const options = { registrableDomain: settings.site_matchRegistrableDomain };
+    const siteKey = getSiteKey(tab.url, options);
+    if (siteKey === null) return [tab];
+    const tabs = /** @type {BrowserTab[]} */ (await browser.tabs.query(settings.site_allWindows ? {} : { windowId: tab.windowId }));
+    return tabs.filter(other => getSiteKey(other.url, options) === siteKey);
+}
+
+/** Update how labels are shown in TST's sidebar to reflect the current settings. */
+function updateTSTLabelDisplay() {
+    setTSTLabelDisplay({
+        tooltip: settings.enabled && settings.tst_label_tooltip_enabled,
+        text: settings.enabled && settings.tst_label_text_enabled,
+    });
+}
+
+/** Update which colors are inherited by child tabs to reflect the current settings. */
+function updateMarkInheritance() {
+    setInheritedColors(
+        settings.enabled && settings.inheritMarks_enabled ?
+            getPalette().filter(color => color.inherit).map(color => color.name) :
+            []
+    );
+}
+
+/** Update the rules that mark tabs automatically to reflect the current settings. */
+function updateAutoMarkRules() {
+    setAutoMarkRules(
+        settings.enabled && settings.autoMark_enabled ? getAutoMarkRules() : [],
+        { addMarks: settings.allowMultipleMarks }
+    );
+}
 
+/** Update which extensions can use the external API to reflect the current settings. */
+function updateExternalApi() {
+    setExternalApiConfig({
+        allowedIds: settings.enabled && settings.externalApi_enabled ? parseExtensionIds(settings.externalApi_allowedIds) : [],
+        addMarks: settings.allowMultipleMarks,
+    });
+}
+
+/** Update how window marks are shown to reflect the current settings. */
+function updateWindowMarkDisplay() {
+    setWindowMarkDisplay({
+        enabled: settings.enabled,
+        titlePreface: settings.windowMarks_titlePreface,
+        tstClassPrefix: settings.tst_class_enabled ? settings.tst_class_name : null,
+        colorNames: getColorNames(),
+    });
+}
+
+/** Update how marks are remembered by URL to reflect the current settings. */
+function updateUrlMarkStore() {
+    setUrlMarkStoreConfig({
+        enabled: settings.enabled && settings.urlMarks_enabled,
+        matching: settings.urlMarks_matching,
+        maxEntries: Math.max(0, settings.urlMarks_maxEntries),
+        maxAgeDays: Math.max(0, settings.urlMarks_maxAgeDays),
+    });
+}
+
+
+/**
+ * Add a context menu item for each color in the palette.
+ *
+ * @param {Object[]} items Create properties for menu items. The new items are added to the end of this array.
+ * @param {Object} details
+ * @param {string} details.parentId Id of the menu item that the color items are created under.
+ * @param {string} details.idPrefix The id of each item is this prefix followed by the color name.
+ * @param {boolean} [details.includeToolbar=true] Add an item for the `toolbar` color that removes marks.
+ */
+async function addColorMenuItems(items, { parentId, idPrefix, includeToolbar = true }) {
+    const colors = getPalette().map(({ name, rgb }) => [name, rgb]);
+    if (includeToolbar) {
+        colors.push(['toolbar', kCOLORS.toolbar]);
+    }
+    for (const [color, rgb] of colors) {
+        if (color === 'toolbar') {
+            items.push({
+                parentId,
+                type: 'separator',
+                contexts: ['tab'],
+            });
+        }
+        items.push({
+            parentId,
+            id: idPrefix + color,
+            title: getColorTitle(color),
+            contexts: ['tab'],
+            enabled: true,
+            icons: {
+                "16": await getBase64SVGIcon(
+                    color === 'toolbar' ? kICONS.none : kICONS.circle,
+                    rgb + /*alpha:*/ 'ff'
+                ),
+            },
+        });
+    }
+}
+
+/** @returns {string} The title of the root context menu item. */
+function getContextMenuTitle() {
+    return settings.contextMenu_setColor_title || browser.i18n.getMessage("command_MarkTab", "&");
+}
+
+/**
+ * Get all context menu items that should be shown for the current settings.
+ *
+ * @returns {Promise<Object[]>} Create properties for `browser.menus.create`. Parent items come before their children.
+ */
+async function getContextMenuItems() {
+    const items = [];
+    items.push({
+        id: "MarkTab",
+        title: getContextMenuTitle(),
+        contexts: ["tab"]
+    });
+    await addColorMenuItems(items, { parentId: 'MarkTab', idPrefix: 'color_' });
+    items.push({
+        parentId: "MarkTab",
+        type: 'separator',
+        contexts: ['tab'],
+    });
+    items.push({
+        parentId: "MarkTab",
+        id: 'setLabel',
+        title: browser.i18n.getMessage('contextMenu_SetLabel'),
+        contexts: ['tab'],
+    });
+    if (settings.contextMenu_expiry_enabled) {
+        items.push({
+            parentId: "MarkTab",
+            id: 'expireMark',
+            title: browser.i18n.getMessage('contextMenu_ExpireMark'),
+            contexts: ['tab'],
+        });
+        for (const choice of kEXPIRY_CHOICES) {
+            items.push({
+                parentId: 'expireMark',
+                id: 'expire_' + choice,
+                title: browser.i18n.getMessage('contextMenu_ExpireMark_' + choice),
+                contexts: ['tab'],
+            });
+        }
+        items.push({
+            parentId: 'expireMark',
+            id: 'expire_custom',
+            title: browser.i18n.getMessage('contextMenu_ExpireMark_custom'),
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: 'expireMark',
+            type: 'separator',
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: 'expireMark',
+            id: 'expire_never',
+            title: browser.i18n.getMessage('contextMenu_ExpireMark_never'),
+            contexts: ['tab'],
+        });
+    }
+    if (settings.contextMenu_window_enabled) {
+        items.push({
+            parentId: "MarkTab",
+            type: 'separator',
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: "MarkTab",
+            id: 'MarkWindow',
+            title: browser.i18n.getMessage('contextMenu_MarkWindow'),
+            contexts: ['tab'],
+        });
+        await addColorMenuItems(items, { parentId: 'MarkWindow', idPrefix: 'window_color_' });
+    }
+    if (settings.contextMenu_subtree_enabled) {
+        items.push({
+            parentId: "MarkTab",
+            type: 'separator',
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: "MarkTab",
+            id: 'MarkSubtree',
+            title: browser.i18n.getMessage('contextMenu_MarkSubtree'),
+            contexts: ['tab'],
+        });
+        await addColorMenuItems(items, { parentId: 'MarkSubtree', idPrefix: 'subtree_color_', includeToolbar: false });
+        items.push({
+            parentId: "MarkTab",
+            id: 'UnmarkSubtree',
+            title: browser.i18n.getMessage('contextMenu_UnmarkSubtree'),
+            contexts: ['tab'],
+        });
+    }
+    if (settings.contextMenu_site_enabled) {
+        items.push({
+            parentId: "MarkTab",
+            type: 'separator',
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: "MarkTab",
+            id: 'MarkSite',
+            title: browser.i18n.getMessage('contextMenu_MarkSite'),
+            contexts: ['tab'],
+        });
+        await addColorMenuItems(items, { parentId: 'MarkSite', idPrefix: 'site_color_', includeToolbar: false });
+        items.push({
+            parentId: "MarkTab",
+            id: 'UnmarkSite',
+            title: browser.i18n.getMessage('contextMenu_UnmarkSite'),
+            contexts: ['tab'],
+        });
+    }
+    if (settings.contextMenu_colorActions_enabled) {
+        items.push({
+            parentId: "MarkTab",
+            type: 'separator',
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: "MarkTab",
+            id: 'colorActions',
+            title: browser.i18n.getMessage('contextMenu_ColorActions'),
+            contexts: ['tab'],
+        });
+        for (const action of kCOLOR_ACTIONS) {
+            items.push({
+                parentId: 'colorActions',
+                id: 'colorActions_' + action,
+                title: browser.i18n.getMessage('contextMenu_ColorActions_' + action),
+                contexts: ['tab'],
+            });
+        }
+    }
+    if (settings.contextMenu_sortTabs_enabled) {
+        items.push({
+            parentId: "MarkTab",
+            type: 'separator',
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: "MarkTab",
+            id: 'sortTabsByColor',
+            title: browser.i18n.getMessage('contextMenu_SortTabsByColor'),
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: "MarkTab",
+            id: 'gatherTabsWithColor',
+            title: browser.i18n.getMessage('contextMenu_GatherTabsWithColor'),
+            contexts: ['tab'],
+        });
+    }
+    if (settings.markHistory_size > 0) {
+        items.push({
+            parentId: "MarkTab",
+            type: 'separator',
+            contexts: ['tab'],
+        });
+        items.push({
+            parentId: "MarkTab",
+            id: 'undoMarkChange',
+            title: browser.i18n.getMessage('contextMenu_UndoMarkChange'),
+            contexts: ['tab'],
+            enabled: getMarkHistoryState().undoCount > 0,
+        });
+        items.push({
+            parentId: "MarkTab",
+            id: 'redoMarkChange',
+            title: browser.i18n.getMessage('contextMenu_RedoMarkChange'),
+            contexts: ['tab'],
+            enabled: getMarkHistoryState().redoCount > 0,
+        });
+    }
+    return items;
+}
+
+/**
+ * Send a message that manages the context menu that Tree Style Tab shows in
+ * its sidebar.
+ *
+ * @param {Object} message The message to send.
+ * @returns {Promise<boolean>} `false` if Tree Style Tab isn't available.
+ */
+async function sendTSTContextMenuMessage(message) {
+    try {
+        await browser.runtime.sendMessage(kTST_ID, message);
+        return true;
+    } catch (error) {
+        // TST is not available.
+        return false;
+    }
+}
+
+/** `true` while registered to Tree Style Tab with the context menu enabled. */
+let isTSTContextMenuRegistered = false;
 let hasContextMenu = false;
+let hasTSTContextMenu = false;
+/** `true` if the context menu items must be re-created, for example because the palette was edited. */
+let contextMenuNeedsRebuild = false;
 let currentContextMenuOp = null;
 let isUpdatingContextMenu = false;
-async function updateContextMenu() {
+/**
+ * Update the context menu to reflect the current settings. The menu is also
+ * created in Tree Style Tab's sidebar if that is enabled.
+ *
+ * @param {Object} [Options]
+ * @param {boolean} [Options.rebuild=false] Re-create all menu items instead of only updating the root item's title.
+ */
+async function updateContextMenu({ rebuild = false } = {}) {
+    if (rebuild) contextMenuNeedsRebuild = true;
     if (isUpdatingContextMenu) return;
 
     const lastOp = currentContextMenuOp;
@@ -161,46 +825,51 @@ async function updateContextMenu() {
             } catch (error) { }
             isUpdatingContextMenu = false;
 
+            const useTST = isTSTContextMenuRegistered && settings.tst_contextMenu_enabled;
             if (!settings.enabled || !settings.contextMenu_setColor_enabled) {
                 if (hasContextMenu) {
                     await browser.menus.removeAll();
                     hasContextMenu = false;
                 }
+                if (hasTSTContextMenu) {
+                    await sendTSTContextMenuMessage({ type: 'fake-contextMenu-remove-all' });
+                    hasTSTContextMenu = false;
+                }
+            } else if (hasContextMenu && !contextMenuNeedsRebuild && hasTSTContextMenu === useTST) {
+                const historyState = getMarkHistoryState();
+                /** @type {[string, Object][]} */
+                const updates = [['MarkTab', { title: getContextMenuTitle() }]];
+                if (settings.markHistory_size > 0) {
+                    updates.push(['undoMarkChange', { enabled: historyState.undoCount > 0 }]);
+                    updates.push(['redoMarkChange', { enabled: historyState.redoCount > 0 }]);
+                }
+                for (const [id, properties] of updates) {
+                    await browser.menus.update(id, properties);
+                    if (hasTSTContextMenu) {
+                        await sendTSTContextMenuMessage({ type: 'fake-contextMenu-update', params: [id, properties] });
+                    }
+                }
             } else {
-                const title = settings.contextMenu_setColor_title || browser.i18n.getMessage("command_MarkTab", "&");
-                if (hasContextMenu) {
-                    await browser.menus.update("MarkTab", { title });
-                } else {
-                    await browser.menus.removeAll();
+                contextMenuNeedsRebuild = false;
+                const items = await getContextMenuItems();
 
-                    await browser.menus.create({
-                        id: "MarkTab",
-                        title,
-                        contexts: ["tab"]
-                    });
-                    for (const [color, rgb] of Object.entries(kCOLORS)) {
-                        if (color === 'toolbar') {
-                            await browser.menus.create({
-                                parentId: "MarkTab",
-                                type: 'separator',
-                                contexts: ['tab'],
-                            });
-                        }
-                        await browser.menus.create({
-                            parentId: "MarkTab",
-                            id: 'color_' + color,
-                            title: browser.i18n.getMessage('color_' + color),
-                            contexts: ['tab'],
-                            enabled: true,
-                            icons: {
-                                "16": await getBase64SVGIcon(
-                                    color === 'toolbar' ? kICONS.none : kICONS.circle,
-                                    rgb + /*alpha:*/ 'ff'
-                                ),
-                            },
-                        });
+                await browser.menus.removeAll();
+                for (const item of items) {
+                    await browser.menus.create(item);
+                }
+                hasContextMenu = true;
+
+                if (hasTSTContextMenu) {
+                    await sendTSTContextMenuMessage({ type: 'fake-contextMenu-remove-all' });
+                    hasTSTContextMenu = false;
+                }
+                if (useTST) {
+                    for (const [index, item] of items.entries()) {
+                        // Separators don't have ids but TST needs them:
+                        const params = 'id' in item ? item : Object.assign({ id: 'separator_' + index }, item);
+                        await sendTSTContextMenuMessage({ type: 'fake-contextMenu-create', params });
                     }
-                    hasContextMenu = true;
+                    hasTSTContextMenu = true;
                 }
             }
         } catch (error) {
@@ -209,13 +878,19 @@ async function updateContextMenu() {
     })();
 }
 
-/** Set descriptions for keyboard shortcuts that set a specific color. */
+/** Set descriptions for keyboard shortcuts that set a specific color. Only
+ * the built-in colors have keyboard shortcuts since the manifest can't be
+ * changed at runtime. */
 function setKeyboardDescriptions() {
     return Promise.all(Array.from(Object.keys(kCOLORS)).map(async (colorName) => {
         try {
-            const localizedColorName = browser.i18n.getMessage(`color_${colorName}`) || colorName;
+            const localizedColorName = getColorTitle(colorName);
             const description = browser.i18n.getMessage(`command_keyboard_MarkTab`, localizedColorName);
             await browser.commands.update({ name: `SetColor_${colorName}`, description, });
+            if (colorName !== 'toolbar') {
+                await browser.commands.update({ name: `NextMarkedTab_${colorName}`, description: browser.i18n.getMessage(`command_keyboard_NextMarkedTab`, localizedColorName), });
+                await browser.commands.update({ name: `PreviousMarkedTab_${colorName}`, description: browser.i18n.getMessage(`command_keyboard_PreviousMarkedTab`, localizedColorName), });
+            }
         } catch (error) {
             console.error(`Failed to update description of keyboard shortcut that sets the color ${colorName}:\nError:\n`, error);
         }
@@ -223,8 +898,6 @@ function setKeyboardDescriptions() {
 }
 
 (async function () {
-    setKeyboardDescriptions();
-
     // #region Browser Version
 
     let browserInfo = {};
@@ -239,6 +912,8 @@ function setKeyboardDescriptions() {
 
     await settingsTracker.start;
 
+    setKeyboardDescriptions();
+
 
     // #region Settings Changes
 
@@ -248,13 +923,23 @@ function setKeyboardDescriptions() {
             changes.tst_class_enabled ||
             changes.tst_class_name ||
             changes.tst_customStyle_enabled ||
+            changes.tst_label_tooltip_enabled ||
+            changes.tst_label_text_enabled ||
+            changes.tst_contextMenu_enabled ||
+            (settings.tst_contextMenu_enabled && changes.contextMenu_setColor_enabled) ||
+            changes.tst_clickToMark_enabled ||
+            changes.inheritMarks_enabled ||
             (settings.tst_customStyle_enabled &&
                 (
                     changes.tst_customStyle ||
                     changes.tst_customStyle_ClassPlaceholder ||
                     (changes.tst_class_name && settings.tst_customStyle_ClassPlaceholder) ||
                     changes.tst_customStyle_ColorPlaceholder ||
-                    changes.tst_customStyle_ColorAlpha
+                    changes.tst_customStyle_ColorAlpha ||
+                    changes.tst_customStyle_multiple ||
+                    changes.tst_customStyle_multipleMode ||
+                    changes.tst_customStyle_window ||
+                    changes.palette
                 )
             )
         ) {
@@ -267,8 +952,35 @@ function setKeyboardDescriptions() {
         if (changes.tst_class_name) {
             setTSTMarkedState(settings.tst_class_name);
         }
+        if (changes.palette) {
+            setTSTColorNames(getColorNames());
+            setKeyboardDescriptions();
+            updateContextMenu({ rebuild: true });
+        }
+        if (changes.enabled || changes.tst_label_tooltip_enabled || changes.tst_label_text_enabled) {
+            updateTSTLabelDisplay();
+        }
+        if (changes.enabled || changes.inheritMarks_enabled || changes.palette) {
+            updateMarkInheritance();
+        }
+        if (changes.enabled || changes.autoMark_enabled || changes.autoMarkRules || changes.allowMultipleMarks || changes.palette) {
+            updateAutoMarkRules();
+        }
+        if (changes.enabled || changes.externalApi_enabled || changes.externalApi_allowedIds || changes.allowMultipleMarks) {
+            updateExternalApi();
+        }
+        if (changes.enabled || changes.urlMarks_enabled || changes.urlMarks_matching || changes.urlMarks_maxEntries || changes.urlMarks_maxAgeDays) {
+            updateUrlMarkStore();
+        }
+        if (changes.enabled) {
+            setMarkExpiryEnabled(settings.enabled);
+        }
+        if (changes.enabled || changes.windowMarks_titlePreface || changes.tst_class_enabled || changes.tst_class_name || changes.palette) {
+            updateWindowMarkDisplay();
+        }
         if (changes.useSessionStorageForMarkerStatus) {
             setUseSessionStorage(settings.useSessionStorageForMarkerStatus);
+            setWindowMarksUseSessionStorage(settings.useSessionStorageForMarkerStatus);
         }
 
         if (
@@ -278,18 +990,204 @@ function setKeyboardDescriptions() {
         ) {
             updateContextMenu();
         }
+        if (changes.contextMenu_subtree_enabled || changes.contextMenu_expiry_enabled || changes.contextMenu_site_enabled || changes.contextMenu_colorActions_enabled || changes.contextMenu_sortTabs_enabled || changes.contextMenu_window_enabled || changes.markHistory_size) {
+            updateContextMenu({ rebuild: true });
+        }
+        if (changes.markHistory_size) {
+            setMarkHistorySize(settings.markHistory_size);
+        }
     });
     setUseSessionStorage(settings.useSessionStorageForMarkerStatus);
+    setWindowMarksUseSessionStorage(settings.useSessionStorageForMarkerStatus);
+    setTSTColorNames(getColorNames());
     setTSTSyncEnabled(settings.tst_class_enabled);
     setTSTMarkedState(settings.tst_class_name);
+    updateTSTLabelDisplay();
+    updateMarkInheritance();
+    updateAutoMarkRules();
+    updateExternalApi();
+    updateUrlMarkStore();
+    updateWindowMarkDisplay();
+    setMarkHistorySize(settings.markHistory_size);
+    setMarkExpiryEnabled(settings.enabled);
 
     // #endregion Settings Changes
 
 
     // #region Context menu and shortcut commands
 
-    browser.menus.onClicked.addListener(async function (/** @type {{ menuItemId: string; }} */ info, /** @type {BrowserTab} */ tab) {
+    /**
+     * Update the context menu items that affect tabs with the same color to show the color of the tab that the menu was opened for.
+     *
+     * @param {{ menuIds: (string | number)[]; }} info Info about the shown menu.
+     * @param {BrowserTab} tab The tab that the menu was opened for.
+     * @param {Object} [Options]
+     * @param {boolean} [Options.tst=false] `true` if the menu was shown in Tree Style Tab's sidebar.
+     */
+    async function handleContextMenuShown(info, tab, { tst = false } = {}) {
+        if (!tab || !info || !Array.isArray(info.menuIds)) return;
+        const hasColorActions = info.menuIds.includes('colorActions');
+        const hasGather = info.menuIds.includes('gatherTabsWithColor');
+        if (!hasColorActions && !hasGather) return;
+
+        const color = await getTabMark(tab.id);
+        /** @type {[string, Object][]} */
+        const updates = [];
+        if (hasColorActions) {
+            updates.push(['colorActions', {
+                enabled: color !== null,
+                title: color === null ?
+                    browser.i18n.getMessage('contextMenu_ColorActions') :
+                    browser.i18n.getMessage('contextMenu_ColorActions_Color', getColorTitle(color)),
+            }]);
+        }
+        if (hasGather) {
+            updates.push(['gatherTabsWithColor', {
+                enabled: color !== null,
+                title: color === null ?
+                    browser.i18n.getMessage('contextMenu_GatherTabsWithColor') :
+                    browser.i18n.getMessage('contextMenu_GatherTabsWithColor_Color', getColorTitle(color)),
+            }]);
+        }
+        if (tst) {
+            for (const [id, properties] of updates) {
+                await sendTSTContextMenuMessage({ type: 'fake-contextMenu-update', params: [id, properties] });
+            }
+            await sendTSTContextMenuMessage({ type: 'fake-contextMenu-refresh' });
+        } else {
+            for (const [id, properties] of updates) {
+                await browser.menus.update(id, properties);
+            }
+            browser.menus.refresh();
+        }
+    }
+
+    /**
+     * Sort the tabs in a window by color.
+     *
+     * @param {number} windowId The id of the window.
+     */
+    async function sortWindowTabsByColor(windowId) {
+        try {
+            await recordTabMoves([windowId], () => sortTabsByColor(windowId));
+        } catch (error) {
+            console.error('Failed to sort tabs by color.\nError:\n', error);
+        }
+    }
+
+    /**
+     * Move the tabs that have the same color as a tab so that they follow it.
+     *
+     * @param {BrowserTab} tab The tab that the other tabs should follow.
+     */
+    async function gatherTabsWithSameColor(tab) {
+        try {
+            const color = await getTabMark(tab.id);
+            if (color === null) return;
+            await recordTabMoves([tab.windowId], () => gatherTabsWithColor(tab, color));
+        } catch (error) {
+            console.error('Failed to gather tabs by color.\nError:\n', error);
+        }
+    }
+
+    /**
+     * Handle a click on a context menu item, either in the browser's tab context menu or in Tree Style Tab's sidebar.
+     *
+     * @param {{ menuItemId: string; }} info Info about the clicked item.
+     * @param {BrowserTab} tab The tab that the menu was opened for.
+     * @param {Object} [Options]
+     * @param {boolean} [Options.tst] `true` if the item was clicked in Tree Style Tab's sidebar.
+     */
+    async function handleContextMenuClick(info, tab, { tst = false } = {}) {
+        if (info.menuItemId.startsWith('colorActions_')) {
+            const action = /** @type {any} */ (info.menuItemId.slice('colorActions_'.length));
+            // Permissions must be requested before anything is awaited. Messages from Tree Style Tab
+            // aren't user actions so permissions can't be requested for them:
+            const hasPermissions = tst ? hasColorActionPermissions(action) : requestColorActionPermissions(action);
+            const color = await getTabMark(tab.id);
+            if (color === null) return;
+            if (await hasPermissions) {
+                const confirmCount = await getColorActionConfirmationCount(action, color, { windowId: tab.windowId });
+                if (confirmCount > 0) {
+                    openColorActionDialog(action, color, tab.windowId, { confirmCount });
+                } else {
+                    performColorAction(action, color, { windowId: tab.windowId });
+                }
+            } else if (tst) {
+                openColorActionDialog(action, color, tab.windowId);
+            }
+            return;
+        }
         const tabs = await getSelectedTabs({ tab, majorBrowserVersion });
+        if (info.menuItemId === 'setLabel') {
+            openLabelDialog(tabs);
+            return;
+        }
+        if (info.menuItemId === 'expire_custom') {
+            openExpiryDialog(tabs);
+            return;
+        }
+        if (info.menuItemId === 'expire_never') {
+            await Promise.all(tabs.map(tab => setTabExpiry(tab.id, null)));
+            return;
+        }
+        if (info.menuItemId.startsWith('expire_')) {
+            const expires = getExpiryTime(/** @type {any} */ (info.menuItemId.slice('expire_'.length)));
+            await Promise.all(tabs.map(tab => setTabExpiry(tab.id, expires)));
+            return;
+        }
+        if (info.menuItemId === 'sortTabsByColor') {
+            sortWindowTabsByColor(tab.windowId);
+            return;
+        }
+        if (info.menuItemId === 'gatherTabsWithColor') {
+            gatherTabsWithSameColor(tab);
+            return;
+        }
+        if (info.menuItemId === 'undoMarkChange') {
+            undoMarkChange();
+            return;
+        }
+        if (info.menuItemId === 'redoMarkChange') {
+            redoMarkChange();
+            return;
+        }
+        if (info.menuItemId.startsWith('window_color_')) {
+            const colorName = info.menuItemId.slice('window_color_'.length);
+            if (colorName !== 'toolbar' && !isColorName(colorName)) {
+                console.warn(`Clicked on context menu item for invalid color: ` + colorName);
+            } else {
+                setWindowMark(tab.windowId, colorName);
+            }
+            return;
+        }
+        if (info.menuItemId === 'UnmarkSite') {
+            const tabIds = (await getTabsFromSameSite(tab)).map(siteTab => siteTab.id);
+            await recordMarkChanges(tabIds, () => removeTabMark(tabIds));
+            return;
+        }
+        if (info.menuItemId.startsWith('site_color_')) {
+            const colorName = info.menuItemId.slice('site_color_'.length);
+            if (!isColorName(colorName)) {
+                console.warn(`Clicked on context menu item for invalid color: ` + colorName);
+            } else {
+                addTabColor({ tabs: await getTabsFromSameSite(tab), color: colorName });
+            }
+            return;
+        }
+        if (info.menuItemId === 'UnmarkSubtree') {
+            setTabColor({ tabs: await getTabsWithDescendants(tabs), value: 'toolbar' });
+            return;
+        }
+        if (info.menuItemId.startsWith('subtree_color_')) {
+            const colorName = info.menuItemId.slice('subtree_color_'.length);
+            if (!isColorName(colorName)) {
+                console.warn(`Clicked on context menu item for invalid color: ` + colorName);
+            } else {
+                addTabColor({ tabs: await getTabsWithDescendants(tabs), color: colorName });
+            }
+            return;
+        }
         if (!info.menuItemId.startsWith('color_')) {
             return;
         }
@@ -299,12 +1197,42 @@ function setKeyboardDescriptions() {
         } else {
             setTabColor({ tabs, value: colorName });
         }
-    });
+    }
+    browser.menus.onShown.addListener((info, tab) => handleContextMenuShown(info, tab));
+    browser.menus.onClicked.addListener((info, tab) => handleContextMenuClick(info, tab));
 
     browser.commands.onCommand.addListener(async function (/** @type {string} */ command) {
         if (command == "ToggleColor") {
             const tabs = await getSelectedTabs({ majorBrowserVersion });
             toggleTabColor({ tabs, colorToToggle: settings.command_toggleColor });
+        } else if (command == "MarkSubtree") {
+            const tabs = await getSelectedTabs({ majorBrowserVersion });
+            addTabColor({ tabs: await getTabsWithDescendants(tabs), color: settings.command_toggleColor });
+        } else if (command == "UnmarkSubtree") {
+            const tabs = await getSelectedTabs({ majorBrowserVersion });
+            setTabColor({ tabs: await getTabsWithDescendants(tabs), value: 'toolbar' });
+        } else if (command === 'SortTabsByColor') {
+            const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+            if (activeTab) sortWindowTabsByColor(activeTab.windowId);
+        } else if (command === 'GatherTabsWithColor') {
+            const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+            if (activeTab) gatherTabsWithSameColor(activeTab);
+        } else if (command === 'UndoMarkChange') {
+            undoMarkChange();
+        } else if (command === 'RedoMarkChange') {
+            redoMarkChange();
+        } else if (command === 'CycleColor' || command === 'CycleColorBackwards') {
+            const tabs = await getSelectedTabs({ majorBrowserVersion });
+            cycleTabColor({ tabs, backwards: command === 'CycleColorBackwards' });
+        } else if (command === 'NextMarkedTab' || command === 'PreviousMarkedTab') {
+            focusMarkedTab({ forward: command === 'NextMarkedTab', crossWindows: settings.command_markedTabNavigation_crossWindows });
+        } else if (command.startsWith('NextMarkedTab_') || command.startsWith('PreviousMarkedTab_')) {
+            const [name, colorName] = command.split('_');
+            if (!isColorName(colorName)) {
+                console.error(`Keyboard shortcut for invalid color: ` + colorName);
+            } else {
+                focusMarkedTab({ forward: name === 'NextMarkedTab', color: colorName, crossWindows: settings.command_markedTabNavigation_crossWindows });
+            }
         } else if (command.startsWith('SetColor_')) {
             const colorName = command.slice('SetColor_'.length);
             if (!isColorName(colorName)) {
@@ -315,6 +1243,7 @@ function setKeyboardDescriptions() {
             }
         }
     });
+    onMarkHistoryChanged.addListener(() => updateContextMenu());
     updateContextMenu();
 
     // #endregion Context menu and shortcut commands
@@ -326,14 +1255,81 @@ function setKeyboardDescriptions() {
         if (!aMessage.type) return;
         switch (aMessage.type) {
             case kMESSAGE_TYPES.clearMarkers: {
-                const tabIds = (/** @type {BrowserTab[]} */ (await browser.tabs.query({}))).map((tab) => tab.id);
-                await removeTabMark(tabIds);
+                const tabIds = ((await getMarkedTabIds()) || []).map(id => parseInt(id));
+                await recordMarkChanges(tabIds, () => removeTabMark(tabIds));
+            } break;
+
+            case kMESSAGE_TYPES.undoMarkChange: {
+                return await undoMarkChange();
+            }
+
+            case kMESSAGE_TYPES.redoMarkChange: {
+                return await redoMarkChange();
+            }
+
+            case kMESSAGE_TYPES.clearUrlMarks: {
+                await clearUrlMarks();
             } break;
 
             case kMESSAGE_TYPES.clearSessionData: {
                 const tabIds = (/** @type {BrowserTab[]} */ (await browser.tabs.query({}))).map((tab) => tab.id);
                 await removeTabMark(tabIds, { notifyChange: useSessionStorage, forceSetSessionData: true });
             } break;
+
+            case kMESSAGE_TYPES.getTabLabel: {
+                return {
+                    label: await getTabLabel(aMessage.tabId),
+                    isMarked: (await getTabMark(aMessage.tabId)) !== null,
+                };
+            }
+
+            case kMESSAGE_TYPES.setTabLabel: {
+                if (!Array.isArray(aMessage.tabIds)) return;
+                await Promise.all(aMessage.tabIds.map(tabId => setTabLabel(tabId, aMessage.label)));
+            } break;
+
+            case kMESSAGE_TYPES.getTabExpiry: {
+                return {
+                    expires: await getTabExpiry(aMessage.tabId),
+                    isMarked: (await getTabMark(aMessage.tabId)) !== null,
+                };
+            }
+
+            case kMESSAGE_TYPES.setTabExpiry: {
+                if (!Array.isArray(aMessage.tabIds)) return;
+                const expires = typeof aMessage.expires === 'number' ? aMessage.expires : null;
+                await Promise.all(aMessage.tabIds.map(tabId => setTabExpiry(tabId, expires)));
+            } break;
+
+            case kMESSAGE_TYPES.performColorAction: {
+                if (!kCOLOR_ACTIONS.includes(aMessage.action) || !isColorName(aMessage.color)) return;
+                await performColorAction(aMessage.action, aMessage.color, { windowId: aMessage.windowId });
+            } break;
+
+            case kMESSAGE_TYPES.getMarkedTabs: {
+                return await getMarkedTabInfos();
+            }
+
+            case kMESSAGE_TYPES.exportMarks: {
+                return await exportMarks();
+            }
+
+            case kMESSAGE_TYPES.previewImportMarks: {
+                return await previewImportMarks(aMessage.backup);
+            }
+
+            case kMESSAGE_TYPES.applyImportMarks: {
+                if (!Array.isArray(aMessage.matches)) return 0;
+                return await applyImportMarks(aMessage.matches, { allowMultipleMarks: settings.allowMultipleMarks });
+            }
+
+            case kMESSAGE_TYPES.unmarkTab: {
+                if (aMessage.color) {
+                    await removeTabMarkColor(aMessage.tabId, aMessage.color);
+                } else {
+                    await removeTabMark(aMessage.tabId);
+                }
+            } break;
         }
     });
 
@@ -344,6 +1340,9 @@ function setKeyboardDescriptions() {
 
     browser.runtime.onMessageExternal.addListener((aMessage, aSender) => {
         if (aSender.id !== kTST_ID) {
+            if (aMessage && isAllowedExtension(aSender.id)) {
+                return handleExternalMessage(aMessage, aSender.id);
+            }
             return;
         }
         switch (aMessage.type) {
@@ -352,6 +1351,50 @@ function setKeyboardDescriptions() {
                 // passive registration for secondary (or after) startup:
                 registerToTST();
                 forceNotifyTSTState();  // TST has been restarted so need to set all states again.
+                forceNotifyTSTLabels();
+                forceNotifyTSTWindowState();
+                return Promise.resolve(true);
+            } break;
+
+            // Mark tabs that are clicked with a modifier key:
+            case 'tab-mousedown':
+            case 'tab-clicked': {
+                if (!settings.enabled || !settings.tst_clickToMark_enabled) return;
+                if (!aMessage.tab || aMessage.closebox || aMessage.twisty || aMessage.soundButton) return;
+                const action = findClickAction(aMessage, {
+                    toggle: settings.tst_clickToMark_toggle,
+                    clear: settings.tst_clickToMark_clear,
+                    cycle: settings.tst_clickToMark_cycle,
+                });
+                if (!action) return;
+                // Act on mousedown and cancel TST's default handling of both notifications:
+                if (aMessage.type === 'tab-mousedown') {
+                    const tabs = [aMessage.tab];
+                    if (action === 'toggle') {
+                        toggleTabColor({ tabs, colorToToggle: settings.command_toggleColor });
+                    } else if (action === 'clear') {
+                        setTabColor({ tabs, value: 'toolbar' });
+                    } else if (action === 'cycle') {
+                        cycleTabColor({ tabs });
+                    }
+                }
+                return Promise.resolve(true);
+            } break;
+
+            // A new tab's parent is known:
+            case 'tree-attached': {
+                if (!aMessage.tab || !aMessage.parent) return;
+                notifyTSTTreeAttached(aMessage.tab.id, aMessage.parent.id);
+            } break;
+
+            // Context menu items that were created with the fake-contextMenu API:
+            case 'fake-contextMenu-click': {
+                if (!aMessage.tab || !aMessage.info || typeof aMessage.info.menuItemId !== 'string') return;
+                handleContextMenuClick(aMessage.info, aMessage.tab, { tst: true });
+                return Promise.resolve(true);
+            } break;
+            case 'fake-contextMenu-shown': {
+                handleContextMenuShown(aMessage.info, aMessage.tab, { tst: true });
                 return Promise.resolve(true);
             } break;
 
@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * This module implements actions that affect all tabs that are marked with a
+ * specific color, for example closing or bookmarking them.
+ *
+ * @module
+ */
+
+import {
+    getColorTitle,
+} from '../common/common.js';
+
+import {
+    getMarkedTabIds,
+    getTabMarks,
+} from '../background/marker-tab-data.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+null;
+
+/**
+ * @typedef {'select' | 'close' | 'reload' | 'discard' | 'moveToNewWindow' | 'bookmark'} ColorAction
+ */
+null;
+
+
+/** @type {ColorAction[]} All actions in the order they are shown in the context menu. */
+export const kCOLOR_ACTIONS = ['select', 'close', 'reload', 'discard', 'moveToNewWindow', 'bookmark'];
+
+/** Closing more tabs than this at once must be confirmed by the user. */
+const kCLOSE_WITHOUT_CONFIRMATION_MAX_COUNT = 1;
+
+
+/**
+ * Get all tabs that are marked with a color.
+ *
+ * @export
+ * @param {string} color The name of a palette color.
+ * @returns {Promise<BrowserTab[]>} The tabs sorted by window and then by their position in the window.
+ */
+export async function getTabsWithColor(color) {
+    const tabIds = ((await getMarkedTabIds()) || []).map(id => parseInt(id));
+    const tabs = await Promise.all(tabIds.map(async (tabId) => {
+        try {
+            if (!(await getTabMarks(tabId)).includes(color)) return null;
+            return /** @type {BrowserTab} */ (await browser.tabs.get(tabId));
+        } catch (error) {
+            // Tab was closed.
+            return null;
+        }
+    }));
+    return tabs
+        .filter(tab => tab)
+        .sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+}
+
+/**
+ * Get the tabs that are closed by the `close` action.
+ *
+ * @param {BrowserTab[]} tabs Tabs that are marked with the action's color.
+ * @param {number} [windowId] The window that the action was started from.
+ * @returns {BrowserTab[]} The tabs in the window that the action was started from. Tabs that the user can't see aren't closed.
+ */
+function getTabsToClose(tabs, windowId) {
+    if (tabs.length === 0) return [];
+    const targetWindowId = windowId === undefined ? tabs[0].windowId : windowId;
+    return tabs.filter(tab => tab.windowId === targetWindowId);
+}
+
+/**
+ * Select (highlight) tabs in a window.
+ *
+ * @param {BrowserTab[]} tabs Tabs to select, only those in the window are selected.
+ * @param {number} windowId The window to select tabs in.
+ */
+async function selectTabs(tabs, windowId) {
+    const indexes = tabs.filter(tab => tab.windowId === windowId).map(tab => tab.index);
+    if (indexes.length === 0) return;
+    // The first index becomes the active tab, prefer keeping the currently active tab:
+    const activeIndex = tabs.findIndex(tab => tab.windowId === windowId && tab.active);
+    if (activeIndex >= 0) {
+        const index = tabs[activeIndex].index;
+        indexes.splice(indexes.indexOf(index), 1);
+        indexes.unshift(index);
+    }
+    await browser.tabs.highlight({ windowId, tabs: indexes, populate: false });
+}
+
+/**
+ * Move tabs to a new window.
+ *
+ * @param {BrowserTab[]} tabs The tabs to move.
+ */
+async function moveTabsToNewWindow(tabs) {
+    const [first, ...rest] = tabs;
+    const window = await browser.windows.create({ tabId: first.id });
+    if (rest.length > 0) {
+        await browser.tabs.move(rest.map(tab => tab.id), { windowId: window.id, index: -1 });
+    }
+}
+
+/**
+ * Bookmark tabs into a new folder named after a color.
+ *
+ * @param {BrowserTab[]} tabs The tabs to bookmark.
+ * @param {string} color The color that the folder is named after.
+ */
+async function bookmarkTabs(tabs, color) {
+    if (!(await browser.permissions.contains({ permissions: ['bookmarks'] }))) {
+        throw new Error('The "bookmarks" permission was not granted.');
+    }
+    const folder = await browser.bookmarks.create({ title: getColorTitle(color) });
+    for (const tab of tabs) {
+        try {
+            await browser.bookmarks.create({ parentId: folder.id, title: tab.title, url: tab.url });
+        } catch (error) {
+            // Some URLs, like privileged pages, can't be bookmarked.
+            console.error('Failed to bookmark tab.', '\nTabId: ', tab.id, '\nUrl: ', tab.url, '\nError:\n', error);
+        }
+    }
+}
+
+/**
+ * Get the optional permissions that an action needs.
+ *
+ * @export
+ * @param {ColorAction} action The action that will be performed.
+ * @returns {string[]} Names of the permissions.
+ */
+export function getColorActionPermissions(action) {
+    if (action === 'bookmark') {
+        return ['bookmarks'];
+    }
+    return [];
+}
+
+/**
+ * Check if an action has the optional permissions that it needs.
+ *
+ * @export
+ * @param {ColorAction} action The action that will be performed.
+ * @returns {Promise<boolean>} `true` if the action has the permissions it needs.
+ */
+export async function hasColorActionPermissions(action) {
+    const permissions = getColorActionPermissions(action);
+    if (permissions.length === 0) return true;
+    return browser.permissions.contains({ permissions });
+}
+
+/**
+ * Request the optional permissions that an action needs. This must be called
+ * while handling a user action, before anything is awaited.
+ *
+ * @export
+ * @param {ColorAction} action The action that will be performed.
+ * @returns {Promise<boolean>} `true` if the action has the permissions it needs.
+ */
+export function requestColorActionPermissions(action) {
+    const permissions = getColorActionPermissions(action);
+    if (permissions.length === 0) return Promise.resolve(true);
+    return browser.permissions.request({ permissions });
+}
+
+/**
+ * Check if the user should confirm an action before it is performed.
+ *
+ * @export
+ * @param {ColorAction} action The action that will be performed.
+ * @param {string} color The name of a palette color.
+ * @param {Object} [Options]
+ * @param {number} [Options.windowId] The window that the action was started from.
+ * @returns {Promise<number>} The number of tabs that the action affects if it should be confirmed, otherwise `0`.
+ */
+export async function getColorActionConfirmationCount(action, color, { windowId } = {}) {
+    if (action !== 'close') return 0;
+    try {
+        const count = getTabsToClose(await getTabsWithColor(color), windowId).length;
+        return count > kCLOSE_WITHOUT_CONFIRMATION_MAX_COUNT ? count : 0;
+    } catch (error) {
+        console.error(`Failed to count tabs with the color ${color}.\nError:\n`, error);
+        return 0;
+    }
+}
+
+/**
+ * Perform an action on all tabs that are marked with a color.
+ *
+ * @export
+ * @param {ColorAction} action The action to perform.
+ * @param {string} color The name of a palette color.
+ * @param {Object} [Options]
+ * @param {number} [Options.windowId] The window that the action was started from. Tabs are only selected or closed in this window and only tabs that are private like this window are moved to a new window.
+ */
+export async function performColorAction(action, color, { windowId } = {}) {
+    try {
+        const tabs = await getTabsWithColor(color);
+        if (tabs.length === 0) return;
+        const tabIds = tabs.map(tab => tab.id);
+        switch (action) {
+            case 'select': {
+                await selectTabs(tabs, windowId === undefined ? tabs[0].windowId : windowId);
+            } break;
+            case 'close': {
+                const closed = getTabsToClose(tabs, windowId).map(tab => tab.id);
+                if (closed.length > 0) {
+                    await browser.tabs.remove(closed);
+                }
+            } break;
+            case 'reload': {
+                await Promise.all(tabIds.map(tabId => browser.tabs.reload(tabId)));
+            } break;
+            case 'discard': {
+                // Active tabs can't be discarded:
+                await browser.tabs.discard(tabs.filter(tab => !tab.active).map(tab => tab.id));
+            } break;
+            case 'moveToNewWindow': {
+                // Tabs can't be moved between private and normal windows:
+                const incognito = windowId === undefined ? tabs[0].incognito : (await browser.windows.get(windowId)).incognito;
+                const moved = tabs.filter(tab => tab.incognito === incognito);
+                if (moved.length > 0) {
+                    await moveTabsToNewWindow(moved);
+                }
+            } break;
+            case 'bookmark': {
+                await bookmarkTabs(tabs, color);
+            } break;
+            default: {
+                throw new Error(`Unknown action "${action}"`);
+            }
+        }
+    } catch (error) {
+        console.error(`Failed to ${action} tabs with the color ${color}.\nError:\n`, error);
+    }
+}
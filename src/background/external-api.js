@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * This module implements the messaging API that other extensions can use to
+ * read and change marks. Only extensions whose ids are in the allowlist can
+ * use the API. The API is documented in `external-api.md`.
+ *
+ * @module
+ */
+
+import {
+    isColorName,
+} from '../common/common.js';
+
+import {
+    addTabMark,
+    createTabMark,
+    getMarkedTabIds,
+    getTabLabel,
+    getTabMarks,
+    removeTabMark,
+    removeTabMarkColor,
+} from '../background/marker-tab-data.js';
+
+import {
+    addSubscriber,
+    removeSubscriber,
+    setSubscriberAllowedCheck,
+} from '../background/external-subscribers.js';
+
+
+/** The message types that the external API handles. */
+export const kEXTERNAL_MESSAGE_TYPES = Object.freeze({
+    getMark: 'get-mark',
+    setMark: 'set-mark',
+    toggleMark: 'toggle-mark',
+    listMarked: 'list-marked',
+    clear: 'clear',
+    registerSelf: 'register-self',
+    unregisterSelf: 'unregister-self',
+});
+
+
+/** @type {string[]} Ids of extensions that are allowed to use the API. */
+export let AllowedExtensionIds = [];
+/** `true` if `toggle-mark` should add colors to a tab's other marks instead of replacing them. */
+export let ExternalApiAddsMarks = false;
+
+
+/**
+ * Parse the allowlist setting.
+ *
+ * @export
+ * @param {string} text Extension ids separated by new lines, spaces or commas.
+ * @returns {string[]} The extension ids.
+ */
+export function parseExtensionIds(text) {
+    if (typeof text !== 'string') return [];
+    return text.split(/[\s,]+/).filter(id => id);
+}
+
+/** Configure the external API.
+ *
+ * @export
+ * @param {Object} Options
+ * @param {string[]} Options.allowedIds Ids of extensions that can use the API. Use an empty array to disable the API.
+ * @param {boolean} [Options.addMarks=false] `true` if tabs can have multiple marks.
+ */
+export function setExternalApiConfig({ allowedIds, addMarks = false }) {
+    AllowedExtensionIds = allowedIds.slice();
+    ExternalApiAddsMarks = Boolean(addMarks);
+    setSubscriberAllowedCheck(AllowedExtensionIds.length > 0 ? isAllowedExtension : null);
+}
+
+/**
+ * Check if an extension can use the API.
+ *
+ * @export
+ * @param {string} extensionId The id of the extension that sent a message.
+ * @returns {boolean} `true` if the extension is in the allowlist.
+ */
+export function isAllowedExtension(extensionId) {
+    return Boolean(extensionId) && AllowedExtensionIds.includes(extensionId);
+}
+
+
+/**
+ * Get the tab ids that a message refers to.
+ *
+ * @param {Object} message A message with a `tabId` or `tabIds` property.
+ * @returns {number[]} The tab ids.
+ */
+function getMessageTabIds(message) {
+    const tabIds = Array.isArray(message.tabIds) ? message.tabIds : [message.tabId];
+    for (const tabId of tabIds) {
+        if (typeof tabId !== 'number' || !Number.isInteger(tabId)) {
+            throw new Error(`Invalid tab id: ${JSON.stringify(tabId)}`);
+        }
+    }
+    return tabIds;
+}
+
+/**
+ * Get the color that a message refers to.
+ *
+ * @param {Object} message A message with a `color` property.
+ * @returns {string} The color, `toolbar` if the message wants to remove marks.
+ */
+function getMessageColor(message) {
+    const color = message.color === null || message.color === undefined ? 'toolbar' : message.color;
+    if (typeof color !== 'string' || !isColorName(color)) {
+        throw new Error(`Unknown color: ${JSON.stringify(color)}`);
+    }
+    return color;
+}
+
+/**
+ * Get the ids of marked tabs, optionally only in a single window.
+ *
+ * @param {number} [windowId] Only include tabs in this window.
+ * @returns {Promise<number[]>}
+ */
+async function getMarkedTabIdsInWindow(windowId) {
+    const tabIds = ((await getMarkedTabIds()) || []).map(id => parseInt(id));
+    if (windowId === undefined || windowId === null) return tabIds;
+    const windowTabIds = new Set((await browser.tabs.query({ windowId })).map(tab => tab.id));
+    return tabIds.filter(tabId => windowTabIds.has(tabId));
+}
+
+/**
+ * Handle a message from another extension.
+ *
+ * @export
+ * @param {any} message The message. Its `type` property should be one of the {@link kEXTERNAL_MESSAGE_TYPES}.
+ * @param {string} senderId The id of the extension that sent the message.
+ * @returns {Promise<any> | undefined} The response, `undefined` if the message type isn't part of the API.
+ */
+export function handleExternalMessage(message, senderId) {
+    switch (message.type) {
+        case kEXTERNAL_MESSAGE_TYPES.getMark: return (async () => {
+            const [tabId] = getMessageTabIds(message);
+            const colors = await getTabMarks(tabId);
+            return {
+                tabId,
+                color: colors.length > 0 ? colors[0] : null,
+                colors,
+                label: await getTabLabel(tabId),
+            };
+        })();
+
+        case kEXTERNAL_MESSAGE_TYPES.setMark: return (async () => {
+            const tabIds = getMessageTabIds(message);
+            const color = getMessageColor(message);
+            if (color === 'toolbar') {
+                await removeTabMark(tabIds);
+            } else {
+                await Promise.all(tabIds.map(tabId => createTabMark(tabId, color)));
+            }
+            return true;
+        })();
+
+        case kEXTERNAL_MESSAGE_TYPES.toggleMark: return (async () => {
+            const tabIds = getMessageTabIds(message);
+            const color = getMessageColor(message);
+            if (color === 'toolbar') {
+                throw new Error(`Can't toggle the "toolbar" color, use "set-mark" to remove marks.`);
+            }
+            return Promise.all(tabIds.map(async (tabId) => {
+                const colors = await getTabMarks(tabId);
+                const hasColor = colors.includes(color);
+                if (ExternalApiAddsMarks) {
+                    await (hasColor ? removeTabMarkColor(tabId, color) : addTabMark(tabId, color));
+                } else {
+                    await (hasColor ? removeTabMark(tabId) : createTabMark(tabId, color));
+                }
+                return !hasColor;
+            }));
+        })();
+
+        case kEXTERNAL_MESSAGE_TYPES.listMarked: return (async () => {
+            const tabIds = await getMarkedTabIdsInWindow(message.windowId);
+            return Promise.all(tabIds.map(async (tabId) => ({
+                tabId,
+                colors: await getTabMarks(tabId),
+                label: await getTabLabel(tabId),
+            })));
+        })();
+
+        case kEXTERNAL_MESSAGE_TYPES.clear: return (async () => {
+            await removeTabMark(await getMarkedTabIdsInWindow(message.windowId));
+            return true;
+        })();
+
+        case kEXTERNAL_MESSAGE_TYPES.registerSelf: return (async () => {
+            await addSubscriber(senderId);
+            return true;
+        })();
+
+        case kEXTERNAL_MESSAGE_TYPES.unregisterSelf: return (async () => {
+            await removeSubscriber(senderId);
+            return true;
+        })();
+    }
+    return undefined;
+}
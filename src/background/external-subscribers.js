@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * This module keeps track of extensions that subscribed to mark changes via
+ * the external API and forwards every change of a tab's mark or label to them
+ * as a `mark-changed` message. Subscribers are persisted in local storage so
+ * that they don't need to register again after the browser is restarted.
+ *
+ * Subscribers that fail to receive several messages in a row are removed.
+ *
+ * @module
+ */
+
+import {
+    EventListener,
+} from '../common/events.js';
+
+import {
+    kTAB_DATA_KEY_LABEL,
+    kTAB_DATA_KEY_MARKED,
+    onTabTempValueChanged,
+} from '../common/common.js';
+
+import {
+    getTabLabel,
+    getTabMarks,
+} from '../background/marker-tab-data.js';
+
+
+/** The local storage key that subscribers are saved under. This is not a setting so the settings tracker ignores it and resetting the settings keeps it. */
+export const kSUBSCRIBERS_STORAGE_KEY = 'externalApiSubscribers';
+
+/** Remove a subscriber after this many messages in a row failed to be delivered. */
+const kMAX_FAILED_MESSAGES = 3;
+
+/** The type of the message that subscribers receive when a mark changes. */
+export const kMARK_CHANGED_MESSAGE_TYPE = 'mark-changed';
+
+
+/** @type {Map<string, number>} Ids of subscribed extensions mapped to how many messages in a row failed to be delivered to them. */
+const subscribers = new Map();
+/** @type {Promise<void> | null} Resolves when subscribers have been loaded from storage. */
+let loaded = null;
+
+/** @type {function(string): boolean} Checks if an extension is still allowed to receive messages. */
+let isAllowed = () => false;
+
+/** @type {EventListener | null} Forwards mark changes to subscribers. */
+let markChangeListener = null;
+
+
+/** Load subscribers from local storage. */
+function loadSubscribers() {
+    if (!loaded) {
+        loaded = (async () => {
+            try {
+                const stored = (await browser.storage.local.get({ [kSUBSCRIBERS_STORAGE_KEY]: [] }))[kSUBSCRIBERS_STORAGE_KEY];
+                if (Array.isArray(stored)) {
+                    for (const id of stored) {
+                        if (typeof id === 'string' && !subscribers.has(id)) {
+                            subscribers.set(id, 0);
+                        }
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to load subscribed extensions.\nError:\n', error);
+            }
+        })();
+    }
+    return loaded;
+}
+
+/** Save subscribers to local storage. */
+async function saveSubscribers() {
+    try {
+        await browser.storage.local.set({ [kSUBSCRIBERS_STORAGE_KEY]: Array.from(subscribers.keys()) });
+    } catch (error) {
+        console.error('Failed to save subscribed extensions.\nError:\n', error);
+    }
+}
+
+/**
+ * Send a message to all subscribers that are still allowed to use the API.
+ *
+ * @param {Object} message The message to send.
+ */
+async function notifySubscribers(message) {
+    await loadSubscribers();
+    let removedAny = false;
+    await Promise.all(Array.from(subscribers.keys()).map(async (id) => {
+        if (!isAllowed(id)) return;
+        try {
+            await browser.runtime.sendMessage(id, message);
+            if (subscribers.has(id)) subscribers.set(id, 0);
+        } catch (error) {
+            if (!subscribers.has(id)) return;
+            const failures = subscribers.get(id) + 1;
+            if (failures >= kMAX_FAILED_MESSAGES) {
+                console.warn('Removed subscribed extension since it stopped responding.\nExtension id: ', id, '\nError:\n', error);
+                subscribers.delete(id);
+                removedAny = true;
+            } else {
+                subscribers.set(id, failures);
+            }
+        }
+    }));
+    if (removedAny) {
+        await saveSubscribers();
+    }
+}
+
+/**
+ * Notify subscribers about a changed tab.
+ *
+ * @param {number} tabId The id of the changed tab.
+ */
+async function notifyMarkChanged(tabId) {
+    try {
+        const [colors, label] = await Promise.all([getTabMarks(tabId), getTabLabel(tabId)]);
+        await notifySubscribers({
+            type: kMARK_CHANGED_MESSAGE_TYPE,
+            tabId,
+            color: colors.length > 0 ? colors[0] : null,
+            colors,
+            label,
+        });
+    } catch (error) {
+        console.error('Failed to notify subscribed extensions about a mark change.\nError:\n', error);
+    }
+}
+
+
+/**
+ * Subscribe an extension to mark changes.
+ *
+ * @export
+ * @param {string} extensionId The id of the extension.
+ */
+export async function addSubscriber(extensionId) {
+    await loadSubscribers();
+    const isNew = !subscribers.has(extensionId);
+    subscribers.set(extensionId, 0);
+    if (isNew) {
+        await saveSubscribers();
+    }
+}
+
+/**
+ * Unsubscribe an extension from mark changes.
+ *
+ * @export
+ * @param {string} extensionId The id of the extension.
+ */
+export async function removeSubscriber(extensionId) {
+    await loadSubscribers();
+    if (subscribers.delete(extensionId)) {
+        await saveSubscribers();
+    }
+}
+
+/** Configure if mark changes are forwarded to subscribers.
+ *
+ * @export
+ * @param {null | function(string): boolean} allowedCheck Checks if an extension id is allowed to receive messages. `null` to stop forwarding changes.
+ */
+export function setSubscriberAllowedCheck(allowedCheck) {
+    isAllowed = allowedCheck || (() => false);
+
+    if (allowedCheck) {
+        if (!markChangeListener) {
+            markChangeListener = new EventListener(onTabTempValueChanged, ({ entryId, key }) => {
+                if (key !== kTAB_DATA_KEY_MARKED && key !== kTAB_DATA_KEY_LABEL) return;
+                notifyMarkChanged(entryId);
+            });
+        }
+    } else if (markChangeListener) {
+        markChangeListener.dispose();
+        markChangeListener = null;
+    }
+}
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * This module exports the marks of all open tabs so that they can be backed
+ * up or moved to another profile, and imports such backups by matching the
+ * saved marks to open tabs.
+ *
+ * Marks are saved together with their tab's URL and title as well as the
+ * position of the tab, which is used to choose between several open tabs with
+ * the same URL.
+ *
+ * @module
+ */
+
+import {
+    isColorName,
+} from '../common/common.js';
+
+import {
+    getMarkedTabIds,
+    getTabLabel,
+    getTabMarks,
+    removeTabMark,
+    setTabLabel,
+    setTabMarks,
+} from '../background/marker-tab-data.js';
+
+import {
+    recordMarkChanges,
+} from '../background/mark-history.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+null;
+
+/**
+ * A mark in an exported backup.
+ *
+ * @typedef {Object} MarkBackupEntry
+ * @property {string} url The URL of the marked tab.
+ * @property {string} title The title of the marked tab.
+ * @property {string[]} colors Names of the colors that the tab was marked with.
+ * @property {null | string} label The label of the mark.
+ * @property {number} windowIndex The position of the tab's window among all windows.
+ * @property {number} index The position of the tab in its window.
+ */
+null;
+
+/**
+ * A backup of marks.
+ *
+ * @typedef {Object} MarkBackup
+ * @property {number} version The version of the backup format.
+ * @property {string} exportedAt When the backup was created, as an ISO date string.
+ * @property {MarkBackupEntry[]} marks The marks.
+ */
+null;
+
+/**
+ * A mark from a backup that will be applied to an open tab.
+ *
+ * @typedef {Object} MarkImportMatch
+ * @property {number} tabId The id of the open tab.
+ * @property {string} title The title of the open tab.
+ * @property {string} url The URL of the open tab.
+ * @property {string[]} colors Names of the colors that the tab will be marked with.
+ * @property {null | string} label The label of the mark.
+ */
+null;
+
+
+/** The current version of the backup format. */
+export const kMARK_BACKUP_VERSION = 1;
+
+
+/**
+ * Get all open tabs together with the position of their window.
+ *
+ * @returns {Promise<{ tab: BrowserTab, windowIndex: number }[]>}
+ */
+async function getTabsWithWindowIndex() {
+    const windows = await browser.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    const tabs = [];
+    windows.forEach((window, windowIndex) => {
+        for (const tab of window.tabs) {
+            tabs.push({ tab, windowIndex });
+        }
+    });
+    return tabs;
+}
+
+/**
+ * Create a backup of the marks of all open tabs.
+ *
+ * @export
+ * @returns {Promise<MarkBackup>} The backup.
+ */
+export async function exportMarks() {
+    const markedTabIds = new Set(((await getMarkedTabIds()) || []).map(id => parseInt(id)));
+    const tabs = (await getTabsWithWindowIndex()).filter(({ tab }) => markedTabIds.has(tab.id));
+    const marks = await Promise.all(tabs.map(async ({ tab, windowIndex }) => ({
+        url: tab.url,
+        title: tab.title,
+        colors: await getTabMarks(tab.id),
+        label: await getTabLabel(tab.id),
+        windowIndex,
+        index: tab.index,
+    })));
+    return {
+        version: kMARK_BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        marks: marks.filter(mark => mark.colors.length > 0),
+    };
+}
+
+/**
+ * Get the valid entries from a backup.
+ *
+ * @param {any} backup Data that was read from a backup file.
+ * @returns {MarkBackupEntry[]} The entries that can be imported.
+ */
+function getBackupEntries(backup) {
+    if (!backup || typeof backup !== 'object' || !Array.isArray(backup.marks)) {
+        throw new Error('The file is not a backup of marks.');
+    }
+    if (typeof backup.version !== 'number' || backup.version > kMARK_BACKUP_VERSION) {
+        throw new Error(`Unsupported backup version: ${JSON.stringify(backup.version)}`);
+    }
+    return backup.marks
+        .filter(entry => entry && typeof entry === 'object' && typeof entry.url === 'string' && Array.isArray(entry.colors))
+        .map(entry => ({
+            url: entry.url,
+            title: typeof entry.title === 'string' ? entry.title : '',
+            colors: entry.colors.filter(color => typeof color === 'string' && color !== 'toolbar' && isColorName(color)),
+            label: typeof entry.label === 'string' ? entry.label : null,
+            windowIndex: typeof entry.windowIndex === 'number' ? entry.windowIndex : -1,
+            index: typeof entry.index === 'number' ? entry.index : -1,
+        }))
+        .filter(entry => entry.colors.length > 0);
+}
+
+/**
+ * Find the open tabs that the marks in a backup should be applied to. Each
+ * entry is matched to an open tab with the same URL. If several tabs have that
+ * URL then tabs with the same title and then tabs at the same position are
+ * preferred.
+ *
+ * @export
+ * @param {any} backup Data that was read from a backup file.
+ * @returns {Promise<{ matches: MarkImportMatch[], unmatchedCount: number }>} The marks that can be applied and how many marks had no matching tab.
+ */
+export async function previewImportMarks(backup) {
+    const entries = getBackupEntries(backup);
+    const tabs = await getTabsWithWindowIndex();
+    const usedTabIds = new Set();
+
+    /** @type {MarkImportMatch[]} */
+    const matches = [];
+    let unmatchedCount = 0;
+    for (const entry of entries) {
+        const candidates = tabs.filter(({ tab }) => tab.url === entry.url && !usedTabIds.has(tab.id));
+        if (candidates.length === 0) {
+            unmatchedCount++;
+            continue;
+        }
+        const score = ({ tab, windowIndex }) =>
+            (tab.title === entry.title ? 4 : 0) +
+            (windowIndex === entry.windowIndex ? 2 : 0) +
+            (windowIndex === entry.windowIndex && tab.index === entry.index ? 1 : 0);
+        const best = candidates.reduce((a, b) => score(b) > score(a) ? b : a);
+        usedTabIds.add(best.tab.id);
+        matches.push({
+            tabId: best.tab.id,
+            title: best.tab.title,
+            url: best.tab.url,
+            colors: entry.colors,
+            label: entry.label,
+        });
+    }
+    return { matches, unmatchedCount };
+}
+
+/**
+ * Apply marks that were matched to open tabs by {@link previewImportMarks}.
+ * Imported marks replace the tabs' current marks, including their labels and
+ * expiry times, and can be undone as a single change.
+ *
+ * @export
+ * @param {MarkImportMatch[]} matches The marks to apply.
+ * @param {Object} [Options]
+ * @param {boolean} [Options.allowMultipleMarks=false] `false` to only apply the first color of each mark.
+ * @returns {Promise<number>} The number of tabs that were marked.
+ */
+export async function applyImportMarks(matches, { allowMultipleMarks = false } = {}) {
+    return recordMarkChanges(matches.map(match => match.tabId), async () => {
+        const results = await Promise.all(matches.map(async (match) => {
+            const colors = allowMultipleMarks ? match.colors : match.colors.slice(0, 1);
+            if (!await removeTabMark(match.tabId)) {
+                return false;
+            }
+            const ok = await setTabMarks(match.tabId, colors);
+            if (ok && match.label) {
+                await setTabLabel(match.tabId, match.label);
+            }
+            return ok;
+        }));
+        return results.filter(ok => ok).length;
+    });
+}
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * This module removes marks when their expiry time has passed. The expiry
+ * times are stored in the tabs' session data so when the extension is
+ * restarted they are read again and the marks that should have expired in the
+ * meantime are removed.
+ *
+ * @module
+ */
+
+import {
+    EventListener,
+} from '../common/events.js';
+
+import {
+    Timeout,
+} from '../common/delays.js';
+
+import {
+    kTAB_DATA_KEY_EXPIRES,
+    onTabTempValueChanged,
+} from '../common/common.js';
+
+import {
+    getExpiringTabIds,
+    getTabExpiry,
+    removeTabMark,
+} from '../background/marker-tab-data.js';
+
+
+/** Expiry choices that are shown in the context menu. */
+export const kEXPIRY_CHOICES = Object.freeze(['1h', '4h', 'endOfDay', 'endOfTomorrow']);
+
+/** The longest delay that `setTimeout` supports. Longer delays are split into several timeouts. */
+const kMAX_TIMEOUT = 2147483647;
+
+
+/** @type {Timeout | null} Fires when the next mark expires. */
+let nextExpiryTimeout = null;
+/** @type {EventListener | null} Reschedules when expiry times change. */
+let expiryChangeListener = null;
+
+let currentOp = null;
+
+/**
+ * Run an operation after all previous operations have completed.
+ *
+ * @param {function(): Promise<any>} callback The operation.
+ * @returns {Promise<void>} Resolves when the operation is done.
+ */
+function queueOp(callback) {
+    const lastOp = currentOp;
+    currentOp = (async () => {
+        try {
+            await lastOp;
+        } catch (error) { }
+        try {
+            await callback();
+        } catch (error) {
+            console.error('Failed to remove expired marks.\nError:\n', error);
+        }
+    })();
+    return currentOp;
+}
+
+/** Remove expired marks and schedule a timeout for the next expiry time. */
+async function removeExpiredMarks() {
+    if (nextExpiryTimeout) {
+        nextExpiryTimeout.dispose();
+        nextExpiryTimeout = null;
+    }
+    if (!expiryChangeListener) return;
+
+    const tabIds = ((await getExpiringTabIds()) || []).map(id => parseInt(id));
+    const now = Date.now();
+    let next = Infinity;
+    for (const tabId of tabIds) {
+        const expires = await getTabExpiry(tabId);
+        if (expires === null) continue;
+        if (expires <= now) {
+            await removeTabMark(tabId);
+        } else {
+            next = Math.min(next, expires);
+        }
+    }
+
+    if (next !== Infinity && expiryChangeListener) {
+        nextExpiryTimeout = new Timeout(() => {
+            nextExpiryTimeout = null;
+            queueOp(removeExpiredMarks);
+        }, Math.min(next - Date.now(), kMAX_TIMEOUT));
+    }
+}
+
+/** Start or stop removing expired marks.
+ *
+ * @export
+ * @param {boolean} enabled `true` to remove marks when they expire.
+ */
+export function setMarkExpiryEnabled(enabled) {
+    if (enabled) {
+        if (!expiryChangeListener) {
+            expiryChangeListener = new EventListener(onTabTempValueChanged, ({ key }) => {
+                if (key !== kTAB_DATA_KEY_EXPIRES) return;
+                queueOp(removeExpiredMarks);
+            });
+        }
+    } else if (expiryChangeListener) {
+        expiryChangeListener.dispose();
+        expiryChangeListener = null;
+    }
+    return queueOp(removeExpiredMarks);
+}
+
+/**
+ * Get expiry times for the choices that are shown in the context menu.
+ *
+ * @export
+ * @param {'1h' | '4h' | 'endOfDay' | 'endOfTomorrow'} choice The chosen expiry.
+ * @param {number} [now] The current time.
+ * @returns {number} The expiry time in milliseconds since the epoch.
+ */
+export function getExpiryTime(choice, now = Date.now()) {
+    switch (choice) {
+        case '1h': return now + 60 * 60 * 1000;
+        case '4h': return now + 4 * 60 * 60 * 1000;
+        case 'endOfDay':
+        case 'endOfTomorrow': {
+            const date = new Date(now);
+            if (choice === 'endOfTomorrow') {
+                date.setDate(date.getDate() + 1);
+            }
+            date.setHours(23, 59, 59, 999);
+            return date.getTime();
+        }
+    }
+    throw new Error(`Unknown expiry choice "${choice}"`);
+}
@@ -0,0 +1,409 @@
+'use strict';
+
+/**
+ * This module records changes of tab marks as transactions so that they can be
+ * undone and redone. A transaction stores the marks and labels that each
+ * affected tab had before and after the change, or the order of the tabs in
+ * the affected windows before and after tabs were moved.
+ *
+ * @module
+ */
+
+import {
+    EventManager,
+} from '../common/events.js';
+
+import {
+    getTabExpiry,
+    getTabLabel,
+    getTabMarks,
+    setTabExpiry,
+    setTabLabel,
+    setTabMarks,
+} from '../background/marker-tab-data.js';
+
+import {
+    getDescendantsFromTSTTab,
+    getTabsFromTST,
+    moveTSTTrees,
+} from '../tree-style-tab/utilities.js';
+
+
+/**
+ * The state of a tab's mark.
+ *
+ * @typedef {Object} MarkSnapshot
+ * @property {string[]} colors Names of the colors that the tab was marked with.
+ * @property {null | string} label The label of the tab's mark.
+ * @property {null | number} expires When the tab's mark expires, in milliseconds since the epoch.
+ */
+null;
+
+/**
+ * A change to a single tab.
+ *
+ * @typedef {Object} MarkChange
+ * @property {number} tabId The id of the changed tab.
+ * @property {MarkSnapshot} before The tab's mark before the change.
+ * @property {MarkSnapshot} after The tab's mark after the change.
+ */
+null;
+
+/**
+ * The order of a window's tabs before and after tabs were moved.
+ *
+ * @typedef {Object} TabOrderChange
+ * @property {number} windowId The id of the window.
+ * @property {number[]} before Ids of the window's tabs before the change, in order.
+ * @property {number[]} after Ids of the window's tabs after the change, in order.
+ */
+null;
+
+/**
+ * Changes that are undone and redone together.
+ *
+ * @typedef {Object} HistoryTransaction
+ * @property {MarkChange[]} marks Changed marks.
+ * @property {TabOrderChange[]} order Changed tab order.
+ */
+null;
+
+/**
+ * @typedef {Object} MarkHistoryState
+ * @property {number} undoCount How many transactions can be undone.
+ * @property {number} redoCount How many transactions can be redone.
+ */
+null;
+
+
+/** The maximum number of transactions that can be undone. `0` disables the history. */
+export let MarkHistorySize = 20;
+
+/** @type {HistoryTransaction[]} Transactions that can be undone, the most recent one last. */
+const undoStack = [];
+/** @type {HistoryTransaction[]} Transactions that can be redone, the most recently undone one last. */
+const redoStack = [];
+
+/** Notified with the current {@link MarkHistoryState} when transactions are added, undone or redone.
+ * @type {EventManager<[MarkHistoryState]>} */
+export const onMarkHistoryChanged = new EventManager();
+
+let currentOp = null;
+
+/**
+ * Run an operation after all previous operations have completed.
+ *
+ * @template T
+ * @param {function(): Promise<T>} callback The operation.
+ * @returns {Promise<T>} Resolves with the operation's result when it is done.
+ */
+function queueOp(callback) {
+    const lastOp = currentOp;
+    const op = (async () => {
+        try {
+            await lastOp;
+        } catch (error) { }
+        return callback();
+    })();
+    currentOp = op;
+    return op;
+}
+
+
+/**
+ * Get the current state of the history.
+ *
+ * @export
+ * @returns {MarkHistoryState}
+ */
+export function getMarkHistoryState() {
+    return { undoCount: undoStack.length, redoCount: redoStack.length };
+}
+
+function notifyChange() {
+    onMarkHistoryChanged.fire(getMarkHistoryState());
+}
+
+/** Remove the oldest transactions if there are more than {@link MarkHistorySize}. */
+function trimHistory() {
+    const removed = undoStack.length - MarkHistorySize;
+    if (removed > 0) {
+        undoStack.splice(0, removed);
+    }
+    if (redoStack.length > MarkHistorySize) {
+        redoStack.splice(0, redoStack.length - MarkHistorySize);
+    }
+}
+
+/** Configure how many transactions can be undone.
+ *
+ * @export
+ * @param {number} value The maximum number of transactions. `0` disables the history.
+ */
+export function setMarkHistorySize(value) {
+    value = Math.max(0, Math.floor(Number(value) || 0));
+    if (value === MarkHistorySize) return;
+    MarkHistorySize = value;
+    trimHistory();
+    notifyChange();
+}
+
+/**
+ * Get the current mark of some tabs.
+ *
+ * @param {number[]} tabIds Ids of the tabs.
+ * @returns {Promise<MarkSnapshot[]>} The marks in the same order as the ids.
+ */
+function takeSnapshots(tabIds) {
+    return Promise.all(tabIds.map(async (tabId) => ({
+        colors: await getTabMarks(tabId),
+        label: await getTabLabel(tabId),
+        expires: await getTabExpiry(tabId),
+    })));
+}
+
+/**
+ * @param {MarkSnapshot} a
+ * @param {MarkSnapshot} b
+ * @returns {boolean} `true` if the snapshots are the same.
+ */
+function isSameSnapshot(a, b) {
+    return a.label === b.label &&
+        a.expires === b.expires &&
+        a.colors.length === b.colors.length &&
+        a.colors.every((color, index) => color === b.colors[index]);
+}
+
+/**
+ * Restore a tab's mark.
+ *
+ * @param {number} tabId Id of the tab.
+ * @param {MarkSnapshot} snapshot The mark to restore.
+ */
+async function applySnapshot(tabId, snapshot) {
+    await setTabMarks(tabId, snapshot.colors);
+    if (snapshot.colors.length > 0) {
+        await setTabLabel(tabId, snapshot.label);
+        await setTabExpiry(tabId, snapshot.expires);
+    }
+}
+
+/**
+ * Get the order of the tabs in a window.
+ *
+ * @param {number} windowId The id of the window.
+ * @returns {Promise<number[]>} Tab ids in order.
+ */
+async function getTabOrder(windowId) {
+    try {
+        const tabs = await browser.tabs.query({ windowId });
+        return tabs.sort((a, b) => a.index - b.index).map(tab => tab.id);
+    } catch (error) {
+        // Window was closed.
+        return [];
+    }
+}
+
+/**
+ * Move trees in Tree Style Tab's sidebar back to a recorded order. Each tree
+ * is placed where its first recorded tab was so that trees aren't broken
+ * apart. Trees without recorded tabs are moved after the other trees.
+ *
+ * @param {number} windowId The id of the window.
+ * @param {number[]} tabIds Tab ids in the order they should have.
+ * @returns {Promise<boolean>} `false` if Tree Style Tab isn't available.
+ */
+async function applyTSTTabOrder(windowId, tabIds) {
+    let roots;
+    try {
+        roots = await getTabsFromTST(windowId);
+    } catch (error) {
+        // TST is not available
+        return false;
+    }
+    if (!Array.isArray(roots) || roots.length === 0) return false;
+
+    const positions = new Map(tabIds.map((tabId, index) => [tabId, index]));
+    const getPosition = (root) => Math.min(...[root, ...getDescendantsFromTSTTab(root)]
+        .map(tab => positions.has(tab.id) ? positions.get(tab.id) : tabIds.length));
+    for (const pinned of [true, false]) {
+        const current = roots.filter(tab => Boolean(tab.pinned) === pinned);
+        const wanted = current
+            .map((tab, index) => ({ tab, index, position: getPosition(tab) }))
+            .sort((a, b) => a.position - b.position || a.index - b.index)
+            .map(entry => entry.tab);
+        await moveTSTTrees(current, wanted);
+    }
+    return true;
+}
+
+/**
+ * Move tabs back to a recorded order. Tabs that have been closed are ignored
+ * and tabs that have been opened since then are moved after the recorded
+ * tabs. When Tree Style Tab is available whole trees are moved instead.
+ *
+ * @param {number} windowId The id of the window.
+ * @param {number[]} tabIds Tab ids in the order they should have.
+ */
+async function applyTabOrder(windowId, tabIds) {
+    if (await applyTSTTabOrder(windowId, tabIds)) return;
+
+    const tabs = (await Promise.all(tabIds.map(async (tabId) => {
+        try {
+            return await browser.tabs.get(tabId);
+        } catch (error) {
+            // Tab was closed.
+            return null;
+        }
+    }))).filter(tab => tab);
+    // Pinned tabs must stay before other tabs:
+    const pinned = tabs.filter(tab => tab.pinned).map(tab => tab.id);
+    const unpinned = tabs.filter(tab => !tab.pinned).map(tab => tab.id);
+    if (pinned.length > 0) {
+        await browser.tabs.move(pinned, { windowId, index: 0 });
+    }
+    if (unpinned.length > 0) {
+        const pinnedCount = (await browser.tabs.query({ windowId, pinned: true })).length;
+        await browser.tabs.move(unpinned, { windowId, index: pinnedCount });
+    }
+}
+
+/**
+ * Add a transaction to the history.
+ *
+ * @param {HistoryTransaction} transaction The recorded changes.
+ */
+function addTransaction(transaction) {
+    undoStack.push(transaction);
+    redoStack.length = 0;
+    trimHistory();
+    notifyChange();
+}
+
+/**
+ * Apply one side of a transaction.
+ *
+ * @param {HistoryTransaction} transaction The transaction.
+ * @param {'before' | 'after'} side `before` to undo the transaction and `after` to redo it.
+ */
+async function applyTransaction(transaction, side) {
+    for (const change of transaction.order) {
+        await applyTabOrder(change.windowId, change[side]);
+    }
+    await Promise.all(transaction.marks.map(change => applySnapshot(change.tabId, change[side])));
+}
+
+/**
+ * Change the marks of some tabs and record the change so that it can be
+ * undone.
+ *
+ * @export
+ * @template T
+ * @param {number[]} tabIds Ids of the tabs that the operation might change.
+ * @param {function(): Promise<T>} operation Changes the marks of the tabs.
+ * @returns {Promise<T>} The result of the operation.
+ */
+export function recordMarkChanges(tabIds, operation) {
+    return queueOp(async () => {
+        if (MarkHistorySize <= 0) {
+            return operation();
+        }
+        tabIds = Array.from(new Set(tabIds));
+        const before = await takeSnapshots(tabIds);
+        try {
+            return await operation();
+        } finally {
+            const after = await takeSnapshots(tabIds);
+            /** @type {MarkChange[]} */
+            const changes = [];
+            tabIds.forEach((tabId, index) => {
+                if (!isSameSnapshot(before[index], after[index])) {
+                    changes.push({ tabId, before: before[index], after: after[index] });
+                }
+            });
+            if (changes.length > 0) {
+                addTransaction({ marks: changes, order: [] });
+            }
+        }
+    });
+}
+
+/**
+ * Move tabs and record the change so that it can be undone.
+ *
+ * @export
+ * @template T
+ * @param {number[]} windowIds Ids of the windows whose tabs the operation might move.
+ * @param {function(): Promise<T>} operation Moves the tabs.
+ * @returns {Promise<T>} The result of the operation.
+ */
+export function recordTabMoves(windowIds, operation) {
+    return queueOp(async () => {
+        if (MarkHistorySize <= 0) {
+            return operation();
+        }
+        windowIds = Array.from(new Set(windowIds));
+        const before = await Promise.all(windowIds.map(getTabOrder));
+        try {
+            return await operation();
+        } finally {
+            const after = await Promise.all(windowIds.map(getTabOrder));
+            /** @type {TabOrderChange[]} */
+            const order = [];
+            windowIds.forEach((windowId, index) => {
+                if (before[index].join(',') !== after[index].join(',')) {
+                    order.push({ windowId, before: before[index], after: after[index] });
+                }
+            });
+            if (order.length > 0) {
+                addTransaction({ marks: [], order });
+            }
+        }
+    });
+}
+
+/**
+ * Undo the most recent transaction.
+ *
+ * @export
+ * @returns {Promise<boolean>} `true` if a transaction was undone.
+ */
+export function undoMarkChange() {
+    return queueOp(async () => {
+        const transaction = undoStack.pop();
+        if (!transaction) return false;
+        try {
+            await applyTransaction(transaction, 'before');
+        } catch (error) {
+            // Keep the transaction so that it can be tried again:
+            undoStack.push(transaction);
+            throw error;
+        }
+        redoStack.push(transaction);
+        notifyChange();
+        return true;
+    });
+}
+
+/**
+ * Redo the most recently undone transaction.
+ *
+ * @export
+ * @returns {Promise<boolean>} `true` if a transaction was redone.
+ */
+export function redoMarkChange() {
+    return queueOp(async () => {
+        const transaction = redoStack.pop();
+        if (!transaction) return false;
+        try {
+            await applyTransaction(transaction, 'after');
+        } catch (error) {
+            // Keep the transaction so that it can be tried again:
+            redoStack.push(transaction);
+            throw error;
+        }
+        undoStack.push(transaction);
+        notifyChange();
+        return true;
+    });
+}
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * This module copies the marks of a tab to child tabs that are opened from it.
+ * The parent of a new tab is found using Tree Style Tab's tree or, if Tree
+ * Style Tab isn't available or didn't attach the tab, the tab's `openerTabId`.
+ *
+ * @module
+ */
+
+import {
+    EventListener,
+} from '../common/events.js';
+
+import {
+    Timeout,
+} from '../common/delays.js';
+
+import {
+    getTabMarks,
+    setTabMarks,
+} from '../background/marker-tab-data.js';
+
+import {
+    getTSTTabs,
+} from '../tree-style-tab/utilities.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+null;
+
+
+/** Time in milliseconds to wait for Tree Style Tab to attach a new tab to its parent. */
+const kTST_ATTACH_TIMEOUT = 500;
+
+/** @type {string[]} Names of the colors that are copied to child tabs. */
+export let InheritedColors = [];
+/** `true` if Tree Style Tab notifies us when it attaches a tab to a parent. */
+export let TSTAttachNotificationsEnabled = false;
+
+/** @type {Map<number, function(null | number): void>} Callbacks for new tabs that wait for Tree Style Tab to attach them, keyed by tab id. */
+const waitingForAttach = new Map();
+
+/** @type {EventListener | null} Inherits marks when a tab is created. */
+let tabCreatedListener = null;
+
+
+/**
+ * Wait for Tree Style Tab to notify us that it attached a new tab to a parent.
+ *
+ * @param {number} tabId The id of the new tab.
+ * @returns {Promise<null | number>} The id of the parent tab or `null` if the tab wasn't attached in time.
+ */
+function waitForTSTAttach(tabId) {
+    if (!TSTAttachNotificationsEnabled) return Promise.resolve(null);
+    return new Promise((resolve) => {
+        let timeout = null;
+        const finish = (parentTabId) => {
+            if (timeout) timeout.dispose();
+            waitingForAttach.delete(tabId);
+            resolve(parentTabId);
+        };
+        waitingForAttach.set(tabId, finish);
+        timeout = new Timeout(() => finish(null), kTST_ATTACH_TIMEOUT);
+    });
+}
+
+/**
+ * Find the parent of a newly created tab.
+ *
+ * @param {BrowserTab} tab The new tab.
+ * @returns {Promise<number | null>} The id of the parent tab or `null` if the tab has no parent.
+ */
+async function getParentTabId(tab) {
+    const attachedParentId = await waitForTSTAttach(tab.id);
+    if (attachedParentId !== null) return attachedParentId;
+
+    let tstTab = null;
+    try {
+        tstTab = await getTSTTabs(tab.id);
+    } catch (error) {
+        // TST is not available
+    }
+    if (tstTab && tstTab.ancestorTabIds && tstTab.ancestorTabIds.length > 0) {
+        return tstTab.ancestorTabIds[0];
+    }
+    // TST might not attach the tab even if it was opened from another tab:
+    return typeof tab.openerTabId === 'number' ? tab.openerTabId : null;
+}
+
+/**
+ * Copy the parent's marks to a new tab.
+ *
+ * @param {BrowserTab} tab The new tab.
+ */
+async function inheritMarks(tab) {
+    try {
+        const parentTabId = await getParentTabId(tab);
+        if (parentTabId === null) return;
+
+        const inherited = InheritedColors;
+        const colors = (await getTabMarks(parentTabId)).filter(color => inherited.includes(color));
+        if (colors.length === 0) return;
+
+        // Don't replace marks that were restored or set while we waited for TST:
+        if ((await getTabMarks(tab.id)).length > 0) return;
+
+        await setTabMarks(tab.id, colors);
+    } catch (error) {
+        console.error('Failed to inherit marks for a new tab.\nTab id: ', tab.id, '\nError:\n', error);
+    }
+}
+
+/** Configure which colors are inherited by child tabs.
+ *
+ * @export
+ * @param {string[]} colorNames Names of the colors that child tabs inherit. Use an empty array to stop inheriting marks.
+ */
+export function setInheritedColors(colorNames) {
+    InheritedColors = colorNames.slice();
+
+    if (InheritedColors.length > 0) {
+        if (!tabCreatedListener) {
+            tabCreatedListener = new EventListener(browser.tabs.onCreated, (tab) => inheritMarks(tab));
+        }
+    } else if (tabCreatedListener) {
+        tabCreatedListener.dispose();
+        tabCreatedListener = null;
+    }
+}
+
+/** Configure if Tree Style Tab notifies us when it attaches tabs. Otherwise
+ * new tabs don't wait for Tree Style Tab before their parent is looked up.
+ *
+ * @export
+ * @param {boolean} enabled `true` if we listen to Tree Style Tab's `tree-attached` notifications.
+ */
+export function setTSTAttachNotificationsEnabled(enabled) {
+    TSTAttachNotificationsEnabled = Boolean(enabled);
+    if (!TSTAttachNotificationsEnabled) {
+        for (const finish of Array.from(waitingForAttach.values())) {
+            finish(null);
+        }
+    }
+}
+
+/** Handle Tree Style Tab's notification that a tab was attached to a parent.
+ *
+ * @export
+ * @param {number} tabId The id of the attached tab.
+ * @param {number} parentTabId The id of the tab's new parent.
+ */
+export function notifyTSTTreeAttached(tabId, parentTabId) {
+    const finish = waitingForAttach.get(tabId);
+    if (finish) {
+        finish(parentTabId);
+    }
+}
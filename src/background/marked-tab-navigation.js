@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * This module activates the next or previous marked tab. Tabs are ordered by
+ * Tree Style Tab's tree when it is available and otherwise by their index.
+ *
+ * @module
+ */
+
+import {
+    getMarkedTabIds,
+    getTabMarks,
+} from '../background/marker-tab-data.js';
+
+import {
+    getTabsFromTST,
+} from '../tree-style-tab/utilities.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+null;
+
+
+/**
+ * Get the ids of a window's tabs in the order they are shown.
+ *
+ * @param {number} windowId The id of the window.
+ * @returns {Promise<number[]>} Tab ids in Tree Style Tab's tree order if it is available; otherwise in tab index order.
+ */
+async function getOrderedTabIds(windowId) {
+    try {
+        const tstTabs = await getTabsFromTST(windowId, true);
+        if (Array.isArray(tstTabs) && tstTabs.length > 0) {
+            return tstTabs.map(tab => tab.id);
+        }
+    } catch (error) {
+        // TST is not available
+    }
+    const tabs = /** @type {BrowserTab[]} */ (await browser.tabs.query({ windowId }));
+    return tabs.sort((a, b) => a.index - b.index).map(tab => tab.id);
+}
+
+/**
+ * Activate the next or previous marked tab. The search wraps around to the
+ * first tab after the last one.
+ *
+ * @export
+ * @param {Object} Options
+ * @param {boolean} [Options.forward=true] `true` to go to the next marked tab, `false` to go to the previous one.
+ * @param {null | string} [Options.color=null] Only go to tabs that are marked with this color. `null` to go to tabs with any mark.
+ * @param {boolean} [Options.crossWindows=false] Also search other windows. Otherwise only the current window is searched.
+ * @returns {Promise<boolean>} `true` if a marked tab was activated.
+ */
+export async function focusMarkedTab({ forward = true, color = null, crossWindows = false } = {}) {
+    const [activeTab] = /** @type {BrowserTab[]} */ (await browser.tabs.query({ active: true, currentWindow: true }));
+    if (!activeTab) return false;
+
+    let windowIds = [activeTab.windowId];
+    if (crossWindows) {
+        const windows = await browser.windows.getAll({ windowTypes: ['normal'] });
+        const ids = windows.map(window => window.id).filter(id => id !== activeTab.windowId);
+        // Search the current window first and then the other windows:
+        windowIds = [activeTab.windowId, ...ids];
+    }
+
+    /** @type {{ tabId: number, windowId: number }[]} */
+    const ordered = [];
+    for (const windowId of windowIds) {
+        for (const tabId of await getOrderedTabIds(windowId)) {
+            ordered.push({ tabId, windowId });
+        }
+    }
+
+    const markedTabIds = new Set(((await getMarkedTabIds()) || []).map(id => parseInt(id)));
+    const isWanted = async (tabId) => {
+        if (!markedTabIds.has(tabId)) return false;
+        if (color === null) return true;
+        return (await getTabMarks(tabId)).includes(color);
+    };
+
+    const start = ordered.findIndex(entry => entry.tabId === activeTab.id);
+    for (let step = 1; step < ordered.length; step++) {
+        const offset = forward ? step : -step;
+        const entry = ordered[(start + offset + ordered.length * 2) % ordered.length];
+        if (!(await isWanted(entry.tabId))) continue;
+
+        await browser.tabs.update(entry.tabId, { active: true });
+        if (entry.windowId !== activeTab.windowId) {
+            await browser.windows.update(entry.windowId, { focused: true });
+        }
+        return true;
+    }
+    return false;
+}
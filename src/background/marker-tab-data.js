@@ -11,7 +11,12 @@ import {
 
 import {
     kTAB_DATA_KEY_MARKED,
-    kCOLORS,
+    kTAB_DATA_KEY_LABEL,
+    kTAB_DATA_KEY_AUTO_MARKED,
+    kTAB_DATA_KEY_EXPIRES,
+    kMAX_LABEL_LENGTH,
+    isColorName,
+    toMarkColors,
     onTabSessionValueChanged,
     onTabTempValueChanged,
 } from '../common/common.js';
@@ -22,9 +27,13 @@ import {
 
 import {
     deepCopy,
+    deepCopyCompare,
 } from '../common/utilities.js';
 
 
+/** The session data keys that are cached for each tab. */
+const kMONITORED_KEYS = [kTAB_DATA_KEY_MARKED, kTAB_DATA_KEY_LABEL, kTAB_DATA_KEY_EXPIRES, kTAB_DATA_KEY_AUTO_MARKED];
+
 export let timeToKeepCacheInMilliseconds = 20000;
 export let useSessionStorage = false;
 
@@ -114,7 +123,7 @@ function getCache() {
     if (useSessionStorage) {
         if (!sessionDataCache) {
             const cache = new TabSessionDataCache({
-                monitoredKeys: [kTAB_DATA_KEY_MARKED],
+                monitoredKeys: kMONITORED_KEYS,
                 onTabDataChanged: onTabSessionValueChanged,
                 // We set a custom getTabData function so that we can notify TST
                 // to update its classes after we restore mark state from
@@ -151,7 +160,7 @@ function getCache() {
             const initialStorage = sessionDataCache && deepCopy(sessionDataCache.storage);
             temporaryCache = new TabSessionDataCache({
                 initialStorage,
-                monitoredKeys: [kTAB_DATA_KEY_MARKED],
+                monitoredKeys: kMONITORED_KEYS,
                 onTabDataChanged: onTabTempValueChanged,
                 // Since we only pretend to store data we won't actually lose
                 // that data when a tab is moved between windows, therefore we
@@ -175,7 +184,7 @@ async function migrateTempData() {
                 const sessionData = cache.storage[entryId];
                 // If there is a value in temp storage then save it to session storage.
                 return Promise.all(Object.entries(data).map(async ([key, value]) => {
-                    if (sessionData[key] !== value) {   // Only set value if not already set.
+                    if (!deepCopyCompare(sessionData[key], value)) {   // Only set value if not already set.
                         await browser.sessions.setTabValue(
                             parseTabId(entryId),    // integer
                             key,        // string
@@ -247,60 +256,161 @@ export async function getMarkedTabIds() {
         return null;
     }
 }
-/** Check if a tab is marked with a color.
+/** Get a value that is stored for a tab.
+ *
+ * @param {number} tabId Id of a tab.
+ * @param {string} key One of the monitored session data keys.
+ * @return {Promise<any>} The stored value or `undefined` if there is none.
+ */
+async function getTabValue(tabId, key) {
+    const cache = getCache();
+    const keyValues = await cache.getDataForEntryId(tabId);
+    return keyValues ? keyValues[key] : undefined;
+}
+/** Store a value for a tab and notify listeners about the change.
+ *
+ * @param {number} tabId Id of a tab.
+ * @param {string} key One of the monitored session data keys.
+ * @param {string | Object} value The value to store.
+ * @param {Object} Options
+ * @param {boolean} Options.forceSetSessionData Always update the browser's persistent session storage.
+ * @param {boolean} Options.notifyChange Notify listeners of temporary values.
+ */
+async function setTabValue(tabId, key, value, { forceSetSessionData, notifyChange }) {
+    const changeDetails = { entryId: tabId, key, newValue: value };
+    if (useSessionStorage || forceSetSessionData) {
+        await browser.sessions.setTabValue(
+            parseTabId(tabId),  // integer
+            key,                // string
+            value               // string or object
+        );
+        onTabSessionValueChanged.fire(changeDetails);
+    }
+    if (notifyChange) {
+        onTabTempValueChanged.fire(changeDetails);
+    }
+}
+/** Remove a value that is stored for a tab and notify listeners about the change.
+ *
+ * @param {number} tabId Id of a tab.
+ * @param {string} key One of the monitored session data keys.
+ * @param {Object} Options
+ * @param {boolean} Options.forceSetSessionData Always update the browser's persistent session storage.
+ * @param {boolean} Options.notifyChange Notify listeners of temporary values.
+ */
+async function removeTabValue(tabId, key, { forceSetSessionData, notifyChange }) {
+    const changeDetails = { entryId: tabId, key };
+    if (useSessionStorage || forceSetSessionData) {
+        await browser.sessions.removeTabValue(
+            parseTabId(tabId),  // integer
+            key,                // string
+        );
+        onTabSessionValueChanged.fire(changeDetails);
+    }
+    if (notifyChange) {
+        onTabTempValueChanged.fire(changeDetails);
+    }
+}
+
+/** Get all colors that a tab is marked with.
  *
  * @export
  * @param {number} tabId Id of a tab.
- * @return {Promise<null | keyof kCOLORS>} The color of the tab.
+ * @return {Promise<string[]>} The colors of the tab in the order they were added. Empty if the tab isn't marked.
  */
-export async function getTabMark(tabId) {
+export async function getTabMarks(tabId) {
     try {
-        const cache = getCache();
-        const keyValues = await cache.getDataForEntryId(tabId);
-        const value = keyValues[kTAB_DATA_KEY_MARKED];
-        return value || null;
+        return toMarkColors(await getTabValue(tabId, kTAB_DATA_KEY_MARKED));
     } catch (error) {
         console.error('Failed to get mark status for tab.', '\nTabId: ', tabId, '\nError:\n,', error);
-        return null;
+        return [];
     }
 }
-/** Set the mark for a specific tab.
+/** Check if a tab is marked with a color. If the tab has multiple marks then
+ * the first one is returned.
+ *
+ * @export
+ * @param {number} tabId Id of a tab.
+ * @return {Promise<null | string>} The color of the tab.
+ */
+export async function getTabMark(tabId) {
+    const colors = await getTabMarks(tabId);
+    return colors.length > 0 ? colors[0] : null;
+}
+/** Set all marks for a specific tab.
  *
  * @export
  * @param {number} tabId The id of the tab.
- * @param {keyof kCOLORS} color The color to mark the tab with.
+ * @param {string[]} colors Names of palette colors to mark the tab with. An empty array removes the tab's mark.
  * @param {Object} Options
  * @param {boolean} [Options.forceSetSessionData = false]
  * @param {boolean} [Options.notifyChange = true]
  * @return {Promise<boolean>} `false` if the operation failed.
  */
-export async function createTabMark(tabId, color, { forceSetSessionData = false, notifyChange = true } = {}) {
+export async function setTabMarks(tabId, colors, { forceSetSessionData = false, notifyChange = true } = {}) {
     try {
-        if (!Object.keys(kCOLORS).includes(color)) {
-            throw new Error(`Tried to mark a tab with the unknown color "${color}"`);
-        }
-        if (!forceSetSessionData && (await getTabMark(tabId)) === color) {
-            return true;
+        colors = Array.from(new Set(colors));
+        for (const color of colors) {
+            if (color === 'toolbar' || !isColorName(color)) {
+                throw new Error(`Tried to mark a tab with the unknown color "${color}"`);
+            }
         }
-        const changeDetails = { entryId: tabId, key: kTAB_DATA_KEY_MARKED, newValue: color };
-        if (useSessionStorage || forceSetSessionData) {
-            await browser.sessions.setTabValue(
-                parseTabId(tabId),          // integer
-                kTAB_DATA_KEY_MARKED,       // string
-                color                       // string or object
-            );
-            onTabSessionValueChanged.fire(changeDetails);
+        if (colors.length === 0) {
+            return await removeTabMark(tabId, { forceSetSessionData, notifyChange });
         }
-        if (notifyChange) {
-            onTabTempValueChanged.fire(changeDetails);
+        if (!forceSetSessionData) {
+            const current = await getTabMarks(tabId);
+            if (current.length === colors.length && current.every((color, index) => color === colors[index])) {
+                return true;
+            }
         }
+        // Store a single mark as a string so that the session data stays compatible with older versions:
+        const value = colors.length === 1 ? colors[0] : colors;
+        await setTabValue(tabId, kTAB_DATA_KEY_MARKED, value, { forceSetSessionData, notifyChange });
         return true;
     } catch (error) {
         console.error(`Failed to mark tab with id ${tabId}.\nError:\n,`, error);
     }
     return false;
 }
-/** Remove a mark from a tab.
+/** Set the mark for a specific tab. Any other marks the tab has are removed.
+ *
+ * @export
+ * @param {number} tabId The id of the tab.
+ * @param {string} color The name of a palette color to mark the tab with.
+ * @param {Object} Options
+ * @param {boolean} [Options.forceSetSessionData = false]
+ * @param {boolean} [Options.notifyChange = true]
+ * @return {Promise<boolean>} `false` if the operation failed.
+ */
+export async function createTabMark(tabId, color, { forceSetSessionData = false, notifyChange = true } = {}) {
+    return setTabMarks(tabId, [color], { forceSetSessionData, notifyChange });
+}
+/** Add a color to a tab's marks.
+ *
+ * @export
+ * @param {number} tabId The id of the tab.
+ * @param {string} color The name of a palette color.
+ * @return {Promise<boolean>} `false` if the operation failed.
+ */
+export async function addTabMark(tabId, color) {
+    const colors = await getTabMarks(tabId);
+    if (colors.includes(color)) return true;
+    return setTabMarks(tabId, [...colors, color]);
+}
+/** Remove a color from a tab's marks. The tab's other marks are kept.
+ *
+ * @export
+ * @param {number} tabId The id of the tab.
+ * @param {string} color The name of a palette color.
+ * @return {Promise<boolean>} `false` if the operation failed.
+ */
+export async function removeTabMarkColor(tabId, color) {
+    const colors = await getTabMarks(tabId);
+    if (!colors.includes(color)) return true;
+    return setTabMarks(tabId, colors.filter(c => c !== color));
+}
+/** Remove a mark from a tab. This also removes the mark's label, expiry time and auto-mark color.
  *
  * @export
  * @param {number | number[]} tabId
@@ -314,20 +424,19 @@ export async function removeTabMark(tabId, { forceSetSessionData = false, notify
         if (Array.isArray(tabId)) {
             await Promise.all(tabId.map(tabId => removeTabMark(tabId, { forceSetSessionData, notifyChange })));
         } else {
-            if (!forceSetSessionData && (await getTabMark(tabId)) === null) {
-                return true;
+            if (forceSetSessionData || (await getTabLabel(tabId)) !== null) {
+                await removeTabValue(tabId, kTAB_DATA_KEY_LABEL, { forceSetSessionData, notifyChange });
             }
-            const changeDetails = { entryId: tabId, key: kTAB_DATA_KEY_MARKED };
-            if (useSessionStorage || forceSetSessionData) {
-                await browser.sessions.removeTabValue(
-                    parseTabId(tabId),    // integer
-                    kTAB_DATA_KEY_MARKED, // string
-                );
-                onTabSessionValueChanged.fire(changeDetails);
+            if (forceSetSessionData || (await getTabExpiry(tabId)) !== null) {
+                await removeTabValue(tabId, kTAB_DATA_KEY_EXPIRES, { forceSetSessionData, notifyChange });
             }
-            if (notifyChange) {
-                onTabTempValueChanged.fire(changeDetails);
+            if (forceSetSessionData || (await getTabAutoMark(tabId)) !== null) {
+                await removeTabValue(tabId, kTAB_DATA_KEY_AUTO_MARKED, { forceSetSessionData, notifyChange });
             }
+            if (!forceSetSessionData && (await getTabMark(tabId)) === null) {
+                return true;
+            }
+            await removeTabValue(tabId, kTAB_DATA_KEY_MARKED, { forceSetSessionData, notifyChange });
         }
         return true;
     } catch (error) {
@@ -336,4 +445,163 @@ export async function removeTabMark(tabId, { forceSetSessionData = false, notify
     return false;
 }
 
+/** Get the ids of all tabs that have a label.
+ *
+ * @export
+ * @return {Promise<null | string[]>} Ids of labeled tabs or `null` if the operation failed.
+ */
+export async function getLabeledTabIds() {
+    try {
+        const data = getCache();
+        await data.start;
+        return Object.entries(data.storage)
+            .filter(([, tabData]) => Boolean(tabData[kTAB_DATA_KEY_LABEL]))
+            .map(([tabId,]) => String(tabId));
+    } catch (error) {
+        console.error('Failed to get tab ids that have labels.\nError:\n,', error);
+        return null;
+    }
+}
+/** Get the label of a tab's mark.
+ *
+ * @export
+ * @param {number} tabId Id of a tab.
+ * @return {Promise<null | string>} The label or `null` if the tab has no label.
+ */
+export async function getTabLabel(tabId) {
+    try {
+        const value = await getTabValue(tabId, kTAB_DATA_KEY_LABEL);
+        return value || null;
+    } catch (error) {
+        console.error('Failed to get label for tab.', '\nTabId: ', tabId, '\nError:\n,', error);
+        return null;
+    }
+}
+/** Set or remove the label of a tab's mark. Only marked tabs can have a label.
+ *
+ * @export
+ * @param {number} tabId The id of the tab.
+ * @param {null | string} label The new label. An empty string or `null` removes the label.
+ * @return {Promise<boolean>} `false` if the operation failed or if the tab isn't marked.
+ */
+export async function setTabLabel(tabId, label) {
+    try {
+        label = (label || '').trim().slice(0, kMAX_LABEL_LENGTH);
+        const current = await getTabLabel(tabId);
+        if (!label) {
+            if (current !== null) {
+                await removeTabValue(tabId, kTAB_DATA_KEY_LABEL, { forceSetSessionData: false, notifyChange: true });
+            }
+            return true;
+        }
+        if ((await getTabMark(tabId)) === null) {
+            return false;
+        }
+        if (current !== label) {
+            await setTabValue(tabId, kTAB_DATA_KEY_LABEL, label, { forceSetSessionData: false, notifyChange: true });
+        }
+        return true;
+    } catch (error) {
+        console.error(`Failed to set label for tab with id ${tabId}.\nError:\n,`, error);
+    }
+    return false;
+}
+
+/** Get the ids of all tabs whose mark has an expiry time.
+ *
+ * @export
+ * @return {Promise<null | string[]>} Ids of tabs with an expiry time or `null` if the operation failed.
+ */
+export async function getExpiringTabIds() {
+    try {
+        const data = getCache();
+        await data.start;
+        return Object.entries(data.storage)
+            .filter(([, tabData]) => typeof tabData[kTAB_DATA_KEY_EXPIRES] === 'number')
+            .map(([tabId,]) => String(tabId));
+    } catch (error) {
+        console.error('Failed to get tab ids that have expiry times.\nError:\n,', error);
+        return null;
+    }
+}
+/** Get the time when a tab's mark expires.
+ *
+ * @export
+ * @param {number} tabId Id of a tab.
+ * @return {Promise<null | number>} Milliseconds since the epoch or `null` if the mark doesn't expire.
+ */
+export async function getTabExpiry(tabId) {
+    try {
+        const value = await getTabValue(tabId, kTAB_DATA_KEY_EXPIRES);
+        return typeof value === 'number' ? value : null;
+    } catch (error) {
+        console.error('Failed to get expiry time for tab.', '\nTabId: ', tabId, '\nError:\n,', error);
+        return null;
+    }
+}
+/** Set or remove the time when a tab's mark expires. Only marked tabs can have an expiry time.
+ *
+ * @export
+ * @param {number} tabId The id of the tab.
+ * @param {null | number} expires Milliseconds since the epoch. `null` makes the mark permanent.
+ * @return {Promise<boolean>} `false` if the operation failed or if the tab isn't marked.
+ */
+export async function setTabExpiry(tabId, expires) {
+    try {
+        const current = await getTabExpiry(tabId);
+        if (typeof expires !== 'number' || !isFinite(expires)) {
+            if (current !== null) {
+                await removeTabValue(tabId, kTAB_DATA_KEY_EXPIRES, { forceSetSessionData: false, notifyChange: true });
+            }
+            return true;
+        }
+        if ((await getTabMark(tabId)) === null) {
+            return false;
+        }
+        if (current !== expires) {
+            await setTabValue(tabId, kTAB_DATA_KEY_EXPIRES, expires, { forceSetSessionData: false, notifyChange: true });
+        }
+        return true;
+    } catch (error) {
+        console.error(`Failed to set expiry time for tab with id ${tabId}.\nError:\n,`, error);
+    }
+    return false;
+}
 
+/** Get the color that an auto-mark rule marked a tab with.
+ *
+ * @export
+ * @param {number} tabId Id of a tab.
+ * @return {Promise<null | string>} The color or `null` if no rule marked the tab.
+ */
+export async function getTabAutoMark(tabId) {
+    try {
+        const value = await getTabValue(tabId, kTAB_DATA_KEY_AUTO_MARKED);
+        return typeof value === 'string' && value ? value : null;
+    } catch (error) {
+        console.error('Failed to get auto-mark color for tab.', '\nTabId: ', tabId, '\nError:\n,', error);
+        return null;
+    }
+}
+/** Remember or forget the color that an auto-mark rule marked a tab with.
+ *
+ * @export
+ * @param {number} tabId The id of the tab.
+ * @param {null | string} color The name of a palette color. `null` if the tab's marks weren't set by a rule.
+ * @return {Promise<boolean>} `false` if the operation failed.
+ */
+export async function setTabAutoMark(tabId, color) {
+    try {
+        const current = await getTabAutoMark(tabId);
+        if (color === current) return true;
+        if (color === null) {
+            await removeTabValue(tabId, kTAB_DATA_KEY_AUTO_MARKED, { forceSetSessionData: false, notifyChange: true });
+        } else {
+            await setTabValue(tabId, kTAB_DATA_KEY_AUTO_MARKED, color, { forceSetSessionData: false, notifyChange: true });
+        }
+        return true;
+    } catch (error) {
+        console.error(`Failed to set auto-mark color for tab with id ${tabId}.\nError:\n,`, error);
+    }
+    return false;
+}
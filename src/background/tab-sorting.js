@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * This module reorders tabs by their marks. When Tree Style Tab is available
+ * whole trees are moved with its API so that they aren't broken apart;
+ * otherwise tabs are moved one by one. Pinned tabs are only ever moved among
+ * other pinned tabs.
+ *
+ * @module
+ */
+
+import {
+    getColorNames,
+} from '../common/common.js';
+
+import {
+    getTabMarks,
+} from '../background/marker-tab-data.js';
+
+import {
+    getTabsWithColor,
+} from '../background/color-actions.js';
+
+import {
+    getTabsFromTST,
+    kTST_ID,
+    moveTSTTrees,
+} from '../tree-style-tab/utilities.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+null;
+
+/**
+ * @typedef {import('../tree-style-tab/utilities.js').TSTTab} TSTTab
+ */
+null;
+
+
+/**
+ * Get the position of a tab's first mark in the palette.
+ *
+ * @param {number} tabId The id of the tab.
+ * @param {string[]} colorNames Names of the palette colors in order.
+ * @returns {Promise<number>} The palette index. Unmarked tabs are sorted after all marked tabs.
+ */
+async function getSortKey(tabId, colorNames) {
+    const [color] = await getTabMarks(tabId);
+    const index = colorNames.indexOf(color);
+    return index < 0 ? colorNames.length : index;
+}
+
+/**
+ * Sort items by their first mark while keeping the order of items with the
+ * same color.
+ *
+ * @template {{ id: number }} T
+ * @param {T[]} items The items to sort.
+ * @returns {Promise<T[]>} A sorted copy of the items.
+ */
+async function sortByMark(items) {
+    const colorNames = getColorNames();
+    const keys = await Promise.all(items.map(item => getSortKey(item.id, colorNames)));
+    return items
+        .map((item, index) => ({ item, index, key: keys[index] }))
+        .sort((a, b) => a.key - b.key || a.index - b.index)
+        .map(entry => entry.item);
+}
+
+/**
+ * Get the index after the last descendant of a tab.
+ *
+ * @param {TSTTab[]} tstTabs All tabs in a window in tree order.
+ * @param {number} index The index of a tab in `tstTabs`.
+ * @returns {number} The index of the first tab after the tab's subtree.
+ */
+function getSubtreeEnd(tstTabs, index) {
+    const tabId = tstTabs[index].id;
+    let end = index + 1;
+    while (end < tstTabs.length && (tstTabs[end].ancestorTabIds || []).includes(tabId)) {
+        end++;
+    }
+    return end;
+}
+
+
+/**
+ * Sort the tabs in a window by the color they are marked with, in the order
+ * of the palette. Unmarked tabs are placed after marked tabs. Trees in Tree
+ * Style Tab are sorted by the mark of their root tab.
+ *
+ * @export
+ * @param {number} windowId The id of the window.
+ */
+export async function sortTabsByColor(windowId) {
+    let roots = null;
+    try {
+        roots = await getTabsFromTST(windowId);
+    } catch (error) {
+        // TST is not available
+    }
+    if (Array.isArray(roots) && roots.length > 0) {
+        // Don't fall back to moving tabs one by one if this fails since that would break apart trees:
+        for (const pinned of [true, false]) {
+            const current = roots.filter(tab => Boolean(tab.pinned) === pinned);
+            await moveTSTTrees(current, await sortByMark(current));
+        }
+        return;
+    }
+
+    const tabs = /** @type {BrowserTab[]} */ (await browser.tabs.query({ windowId }));
+    tabs.sort((a, b) => a.index - b.index);
+    let index = 0;
+    for (const pinned of [true, false]) {
+        const current = tabs.filter(tab => tab.pinned === pinned);
+        const wanted = await sortByMark(current);
+        if (wanted.some((tab, iii) => tab !== current[iii])) {
+            await browser.tabs.move(wanted.map(tab => tab.id), { windowId, index });
+        }
+        index += current.length;
+    }
+}
+
+/**
+ * Move tabs with Tree Style Tab's API so that they follow a tab's subtree.
+ *
+ * @param {BrowserTab} tab The tab that the other tabs should follow.
+ * @param {Set<number>} tabIds Ids of the tabs to move.
+ * @returns {Promise<boolean>} `false` if Tree Style Tab isn't available. Errors while moving tabs are thrown.
+ */
+async function gatherTSTTrees(tab, tabIds) {
+    let tstTabs;
+    try {
+        tstTabs = await getTabsFromTST(tab.windowId, true);
+    } catch (error) {
+        // TST is not available
+        return false;
+    }
+    if (!Array.isArray(tstTabs)) return false;
+    const tabIndex = tstTabs.findIndex(tstTab => tstTab.id === tab.id);
+    if (tabIndex < 0) return false;
+
+    const ancestorIds = tstTabs[tabIndex].ancestorTabIds || [];
+    const moved = tstTabs.filter(tstTab =>
+        tabIds.has(tstTab.id) &&
+        // Tabs in the clicked tab's subtree are already in place and its ancestors can't be moved into their own subtree:
+        !(tstTab.ancestorTabIds || []).includes(tab.id) &&
+        !ancestorIds.includes(tstTab.id) &&
+        // Tabs are moved together with their ancestor:
+        !(tstTab.ancestorTabIds || []).some(id => tabIds.has(id))
+    );
+
+    let referenceTabId = tstTabs[getSubtreeEnd(tstTabs, tabIndex) - 1].id;
+    for (const tstTab of moved) {
+        await browser.runtime.sendMessage(kTST_ID, {
+            type: 'move-after',
+            tab: tstTab.id,
+            referenceTabId,
+            followChildren: true,
+        });
+        referenceTabId = tstTabs[getSubtreeEnd(tstTabs, tstTabs.indexOf(tstTab)) - 1].id;
+    }
+    return true;
+}
+
+/**
+ * Move all tabs in a tab's window that are marked with a color so that they
+ * follow the tab. Only tabs that are pinned if the tab is pinned, or unpinned
+ * if it isn't, are moved. When Tree Style Tab is available, the tabs are
+ * moved together with their descendants after the tab's subtree.
+ *
+ * @export
+ * @param {BrowserTab} tab The tab that the other tabs should follow.
+ * @param {string} color The name of a palette color.
+ */
+export async function gatherTabsWithColor(tab, color) {
+    const tabs = (await getTabsWithColor(color))
+        .filter(other => other.windowId === tab.windowId && other.pinned === tab.pinned && other.id !== tab.id);
+    if (tabs.length === 0) return;
+
+    if (await gatherTSTTrees(tab, new Set(tabs.map(other => other.id)))) return;
+
+    let reference = tab;
+    for (const other of tabs) {
+        // Indexes change after each move:
+        const [current, target] = await Promise.all([browser.tabs.get(other.id), browser.tabs.get(reference.id)]);
+        const index = current.index < target.index ? target.index : target.index + 1;
+        if (current.index !== index) {
+            await browser.tabs.move(current.id, { windowId: tab.windowId, index });
+        }
+        reference = current;
+    }
+}
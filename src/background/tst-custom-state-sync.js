@@ -19,14 +19,16 @@ import {
 } from '../common/events.js';
 
 import {
-    kCOLORS,
     kTAB_DATA_KEY_MARKED,
     onTabTempValueChanged,
+    getAllTSTClassNames,
+    getTSTClassNamesForMarks,
+    toMarkColors,
 } from '../common/common.js';
 
 import {
     getMarkedTabIds,
-    getTabMark,
+    getTabMarks,
 } from '../background/marker-tab-data.js';
 import { notifyTabStateToTST } from '../tree-style-tab/custom-state.js';
 
@@ -42,6 +44,8 @@ import { notifyTabStateToTST } from '../tree-style-tab/custom-state.js';
 /** @type {string | null} */
 export let TSTMarkedState = null;
 export let TSTSyncEnabled = false;
+/** @type {string[]} Names of the palette colors that have a class in TST. */
+export let TSTColorNames = [];
 
 
 /** @type {TSTCustomStateCache | null} */
@@ -93,8 +97,10 @@ function start(clearTSTStates = true) {
             if (cache) return;
 
             const statePrefix = TSTMarkedState;
+            const colorNames = TSTColorNames.slice();
+            const allClassNames = getAllTSTClassNames(statePrefix, colorNames);
             const c = new TSTCustomStateCache({
-                classNames: Object.keys(kCOLORS).map(col => statePrefix + col),
+                classNames: allClassNames,
             });
             cache = c;
 
@@ -102,7 +108,7 @@ function start(clearTSTStates = true) {
                 if (clearTSTStates) {
                     /** @type {import('../common/utilities.js').BrowserTab[]} */
                     const allTabs = await browser.tabs.query({});
-                    await notifyTabStateToTST(allTabs.map(tab => tab.id), Object.keys(kCOLORS).map(col => statePrefix + col), false);
+                    await notifyTabStateToTST(allTabs.map(tab => tab.id), allClassNames, false);
                 }
 
                 if (!markChangeListener) {
@@ -112,15 +118,19 @@ function start(clearTSTStates = true) {
 
                         if (key !== kTAB_DATA_KEY_MARKED) return;
 
-                        for (const color of Object.keys(kCOLORS)) {
-                            c.set(entryId, statePrefix + color, color === newValue);
+                        const wanted = getTSTClassNamesForMarks(statePrefix, toMarkColors(newValue));
+                        for (const className of allClassNames) {
+                            c.set(entryId, className, wanted.includes(className));
                         }
                     });
                 }
 
                 // Ensure TST classes are added for all marked tabs:
                 const markedTabIds = await getMarkedTabIds();
-                await Promise.all(markedTabIds.map(async (tabId) => c.set(parseInt(tabId), statePrefix + await getTabMark(parseInt(tabId)), true)));
+                await Promise.all(markedTabIds.map(async (tabId) => {
+                    const classNames = getTSTClassNamesForMarks(statePrefix, await getTabMarks(parseInt(tabId)));
+                    await Promise.all(classNames.map(className => c.set(parseInt(tabId), className, true)));
+                }));
             } catch (error) {
                 console.error('Failed to set Tree Style Tab states for marked tabs.\nError:\n', error);
             }
@@ -165,6 +175,22 @@ export function setTSTMarkedState(value) {
     start();
 }
 
+/** Set the palette colors that should have classes in TST's sidebar.
+ *
+ * @export
+ * @param {string[]} value Names of palette colors.
+ */
+export function setTSTColorNames(value) {
+    if (!Array.isArray(value)) return;
+    if (value.length === TSTColorNames.length && value.every((name, index) => name === TSTColorNames[index])) return;
+
+    TSTColorNames = value.slice();
+
+    // Restart:
+    stop();
+    start();
+}
+
 /** Toggle if we are setting TST classes for marked tabs.
  *
  * @export
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * This module shows the labels of marked tabs in Tree Style Tab's sidebar by
+ * listening to the {@link onTabTempValueChanged} event. Labels can be shown as
+ * tooltips and/or as text in front of the tab's title.
+ *
+ * @module
+ */
+
+import {
+    EventListener,
+} from '../common/events.js';
+
+import {
+    kTAB_DATA_KEY_LABEL,
+    onTabTempValueChanged,
+} from '../common/common.js';
+
+import {
+    getLabeledTabIds,
+    getTabLabel,
+} from '../background/marker-tab-data.js';
+
+import {
+    escapeHtml,
+    setExtraContentsInTST,
+    setTooltipTextInTST,
+} from '../tree-style-tab/tab-contents.js';
+
+
+/**
+ * @typedef {Object} LabelDisplay How labels are shown in Tree Style Tab's sidebar.
+ * @property {boolean} Info.tooltip Show the label as the tab's tooltip.
+ * @property {boolean} Info.text Show the label as text in front of the tab's title.
+ */
+null;
+
+
+/** Where in the tab the label text is placed. */
+const kLABEL_PLACE = 'tab-front';
+
+/** @type {LabelDisplay} */
+export let TSTLabelDisplay = { tooltip: false, text: false };
+
+/** @type {EventListener | null} Updates TST when a label is changed. */
+let labelChangeListener = null;
+
+let currentOp = null;
+
+/**
+ * Run an operation after all previous operations have completed.
+ *
+ * @param {function(): Promise<any>} callback The operation.
+ * @returns {Promise<void>} Resolves when the operation is done.
+ */
+function queueOp(callback) {
+    const lastOp = currentOp;
+    currentOp = (async () => {
+        try {
+            await lastOp;
+        } catch (error) { }
+        try {
+            await callback();
+        } catch (error) {
+            console.error('Failed to sync mark labels with Tree Style Tab.\nError:\n', error);
+        }
+    })();
+    return currentOp;
+}
+
+/**
+ * Show or remove a label for a tab in TST's sidebar.
+ *
+ * @param {number} tabId Id of the affected tab.
+ * @param {null | string} label The label to show or `null` to remove it.
+ * @param {LabelDisplay} display How the label is shown.
+ */
+async function applyLabel(tabId, label, display) {
+    await Promise.all([
+        display.tooltip && setTooltipTextInTST(tabId, label),
+        display.text && setExtraContentsInTST(
+            tabId,
+            kLABEL_PLACE,
+            label === null ? null : `<span part="mark-label">${escapeHtml(label)} </span>`
+        ),
+    ]);
+}
+
+/**
+ * Show or remove the labels of all labeled tabs.
+ *
+ * @param {LabelDisplay} display How the labels are shown.
+ * @param {boolean} remove `true` to remove the labels instead of showing them.
+ */
+async function applyAllLabels(display, remove) {
+    if (!display.tooltip && !display.text) return;
+    const tabIds = await getLabeledTabIds();
+    if (!tabIds) return;
+    await Promise.all(tabIds.map(async (tabId) => {
+        const id = parseInt(tabId);
+        await applyLabel(id, remove ? null : await getTabLabel(id), display);
+    }));
+}
+
+/** Assume TST lost its state and show all labels again. */
+export function forceNotifyTSTLabels() {
+    const display = TSTLabelDisplay;
+    return queueOp(() => applyAllLabels(display, false));
+}
+
+/** Configure how labels are shown in TST's sidebar.
+ *
+ * @export
+ * @param {LabelDisplay} value Use `false` for both properties to not show labels.
+ */
+export function setTSTLabelDisplay({ tooltip, text }) {
+    const display = { tooltip: Boolean(tooltip), text: Boolean(text) };
+    const previous = TSTLabelDisplay;
+    if (previous.tooltip === display.tooltip && previous.text === display.text) return;
+
+    TSTLabelDisplay = display;
+
+    if (display.tooltip || display.text) {
+        if (!labelChangeListener) {
+            labelChangeListener = new EventListener(onTabTempValueChanged, ({ entryId, key, newValue = null }) => {
+                if (key !== kTAB_DATA_KEY_LABEL) return;
+                const current = TSTLabelDisplay;
+                queueOp(() => applyLabel(entryId, /** @type {null | string} */ (newValue), current));
+            });
+        }
+    } else if (labelChangeListener) {
+        labelChangeListener.dispose();
+        labelChangeListener = null;
+    }
+
+    return queueOp(async () => {
+        await applyAllLabels(previous, true);
+        await applyAllLabels(display, false);
+    });
+}
@@ -0,0 +1,362 @@
+'use strict';
+
+/**
+ * This module remembers the marks of tabs by URL in local storage so that
+ * marks can be re-applied when a tab with the same URL is opened again. This
+ * works even if the browser doesn't restore the previous session.
+ *
+ * @module
+ */
+
+import {
+    EventListener,
+} from '../common/events.js';
+
+import {
+    Timeout,
+} from '../common/delays.js';
+
+import {
+    kTAB_DATA_KEY_LABEL,
+    kTAB_DATA_KEY_MARKED,
+    onTabTempValueChanged,
+} from '../common/common.js';
+
+import {
+    getTabLabel,
+    getTabMarks,
+    setTabLabel,
+    setTabMarks,
+} from '../background/marker-tab-data.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+null;
+
+/**
+ * How strictly URLs must match for a stored mark to be re-applied.
+ *
+ * - `exact`: the whole URL must be the same.
+ * - `ignoreHash`: the part after `#` is ignored.
+ * - `ignoreQuery`: the parts after `?` and `#` are ignored.
+ *
+ * @typedef {'exact' | 'ignoreHash' | 'ignoreQuery'} UrlMatching
+ */
+null;
+
+/**
+ * A mark that is remembered for a URL.
+ *
+ * @typedef {Object} UrlMarkEntry
+ * @property {string} url The URL of the tab that was marked.
+ * @property {string[]} colors Names of the colors that the tab was marked with.
+ * @property {null | string} label The label of the mark.
+ * @property {number} time When the entry was last updated, in milliseconds since the epoch.
+ */
+null;
+
+/**
+ * @typedef {Object} UrlMarkStoreConfig
+ * @property {boolean} enabled `true` to remember and re-apply marks.
+ * @property {UrlMatching} matching How strictly URLs must match.
+ * @property {number} maxEntries The maximum number of remembered URLs. `0` for no limit.
+ * @property {number} maxAgeDays Forget URLs that haven't been marked for this many days. `0` for no limit.
+ */
+null;
+
+
+/** The local storage key that remembered marks are saved under. This is not a setting so it isn't affected by resetting the settings. */
+export const kURL_MARKS_STORAGE_KEY = 'urlMarks';
+
+/** Wait this long after a change before saving so that many changes are saved at once. */
+const kSAVE_DELAY_IN_MILLISECONDS = 2000;
+
+
+/** @type {UrlMarkStoreConfig} */
+export let UrlMarkStoreConfig = { enabled: false, matching: 'ignoreHash', maxEntries: 500, maxAgeDays: 30 };
+
+/** @type {UrlMarkEntry[] | null} Cached entries, `null` if they haven't been loaded. */
+let entries = null;
+/** @type {Map<number, string>} The URL that each open marked tab was remembered under. */
+const tabUrls = new Map();
+/** @type {Timeout | null} Saves the entries after changes. */
+let saveTimeout = null;
+
+/** @type {EventListener[]} */
+let listeners = [];
+
+let currentOp = null;
+
+/**
+ * Run an operation after all previous operations have completed.
+ *
+ * @param {function(): Promise<any>} callback The operation.
+ * @returns {Promise<void>} Resolves when the operation is done.
+ */
+function queueOp(callback) {
+    const lastOp = currentOp;
+    currentOp = (async () => {
+        try {
+            await lastOp;
+        } catch (error) { }
+        try {
+            await callback();
+        } catch (error) {
+            console.error('Failed to update marks that are remembered by URL.\nError:\n', error);
+        }
+    })();
+    return currentOp;
+}
+
+
+/**
+ * Get the part of a URL that is compared when looking for remembered marks.
+ *
+ * @export
+ * @param {string} url A URL.
+ * @param {UrlMatching} matching How strictly URLs should match.
+ * @returns {string} The URL with the ignored parts removed.
+ */
+export function normalizeUrl(url, matching) {
+    if (matching === 'exact') return url;
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        if (matching === 'ignoreQuery') {
+            parsed.search = '';
+        }
+        return parsed.href;
+    } catch (error) {
+        return url;
+    }
+}
+
+/**
+ * Check if marks for a URL can be remembered.
+ *
+ * @param {string} url A URL.
+ * @returns {boolean} `false` for empty and internal pages.
+ */
+function canRememberUrl(url) {
+    return Boolean(url) && !url.startsWith('about:');
+}
+
+/** @returns {Promise<UrlMarkEntry[]>} */
+async function loadEntries() {
+    if (!entries) {
+        const stored = (await browser.storage.local.get({ [kURL_MARKS_STORAGE_KEY]: [] }))[kURL_MARKS_STORAGE_KEY];
+        entries = Array.isArray(stored) ?
+            stored.filter(entry => entry && typeof entry.url === 'string' && Array.isArray(entry.colors)) :
+            [];
+    }
+    return entries;
+}
+
+/**
+ * Forget old entries and the oldest entries that are over the limit. Entries
+ * of marked tabs that are still open are treated as new since their tabs are
+ * still marked.
+ *
+ * @returns {boolean} `true` if any entry was forgotten.
+ */
+function pruneEntries() {
+    const { maxEntries, maxAgeDays } = UrlMarkStoreConfig;
+    const count = entries.length;
+    const openUrls = new Set(tabUrls.values());
+    const getTime = (entry) => openUrls.has(entry.url) ? Infinity : entry.time;
+    if (maxAgeDays > 0) {
+        const oldest = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        entries = entries.filter(entry => getTime(entry) >= oldest);
+    }
+    if (maxEntries > 0 && entries.length > maxEntries) {
+        entries.sort((a, b) => getTime(a) - getTime(b) || a.time - b.time);
+        entries.splice(0, entries.length - maxEntries);
+    }
+    return entries.length !== count;
+}
+
+/** Save the entries to local storage. */
+async function saveEntries() {
+    if (!entries) return;
+    pruneEntries();
+    await browser.storage.local.set({ [kURL_MARKS_STORAGE_KEY]: entries });
+}
+
+/** Save the entries to local storage after a short delay. */
+function scheduleSave() {
+    if (saveTimeout && saveTimeout.isActive) return;
+    saveTimeout = new Timeout(() => {
+        saveTimeout = null;
+        queueOp(saveEntries);
+    }, kSAVE_DELAY_IN_MILLISECONDS);
+}
+
+/** Cancel a save that is waiting for its delay. */
+function cancelSave() {
+    if (saveTimeout) {
+        saveTimeout.dispose();
+        saveTimeout = null;
+    }
+}
+
+/**
+ * Remember or forget the mark of a tab.
+ *
+ * @param {number} tabId The id of the tab.
+ */
+async function rememberTab(tabId) {
+    let tab;
+    try {
+        tab = /** @type {BrowserTab} */ (await browser.tabs.get(tabId));
+    } catch (error) {
+        // Tab was closed.
+        return;
+    }
+    const { matching } = UrlMarkStoreConfig;
+    const [colors, label] = await Promise.all([getTabMarks(tabId), getTabLabel(tabId)]);
+    await loadEntries();
+
+    // Forget the URL that the tab had before it navigated:
+    const previousUrl = tabUrls.get(tabId);
+    const urls = [previousUrl, tab.url].filter(url => url).map(url => normalizeUrl(url, matching));
+    const forgotten = entries.filter(entry => urls.includes(normalizeUrl(entry.url, matching)));
+    tabUrls.delete(tabId);
+
+    const remember = colors.length > 0 && canRememberUrl(tab.url);
+    if (remember) {
+        tabUrls.set(tabId, tab.url);
+        const [entry] = forgotten;
+        if (
+            forgotten.length === 1 &&
+            entry.url === tab.url &&
+            entry.label === label &&
+            entry.colors.length === colors.length &&
+            entry.colors.every((color, index) => color === colors[index])
+        ) {
+            // The remembered mark is already up to date.
+            return;
+        }
+    } else if (forgotten.length === 0) {
+        return;
+    }
+
+    entries = entries.filter(entry => !forgotten.includes(entry));
+    if (remember) {
+        entries.push({ url: tab.url, colors, label, time: Date.now() });
+    }
+    scheduleSave();
+}
+
+/**
+ * Mark a tab if its URL has a remembered mark. Tabs that are already marked
+ * are not changed.
+ *
+ * @param {number} tabId The id of the tab.
+ * @param {string} url The tab's URL.
+ */
+async function restoreTab(tabId, url) {
+    if (!canRememberUrl(url)) return;
+    if ((await getTabMarks(tabId)).length > 0) {
+        if (!tabUrls.has(tabId)) {
+            // The mark is still remembered so the tab's mark was restored by the browser, we
+            // must remember which URL this tab has:
+            await rememberTab(tabId);
+        }
+        return;
+    }
+    const { matching } = UrlMarkStoreConfig;
+    const normalized = normalizeUrl(url, matching);
+    const entry = (await loadEntries())
+        .filter(entry => normalizeUrl(entry.url, matching) === normalized)
+        .sort((a, b) => b.time - a.time)[0];
+    if (!entry) return;
+
+    // Track the tab before marking it so that the change listener replaces the old entry:
+    tabUrls.set(tabId, entry.url);
+    if (await setTabMarks(tabId, entry.colors) && entry.label) {
+        await setTabLabel(tabId, entry.label);
+    }
+}
+
+/**
+ * Forget all remembered marks.
+ *
+ * @export
+ */
+export function clearUrlMarks() {
+    return queueOp(async () => {
+        cancelSave();
+        entries = [];
+        tabUrls.clear();
+        await browser.storage.local.remove(kURL_MARKS_STORAGE_KEY);
+    });
+}
+
+/** Configure the URL mark store.
+ *
+ * @export
+ * @param {UrlMarkStoreConfig} config The new configuration.
+ */
+export function setUrlMarkStoreConfig(config) {
+    const wasEnabled = UrlMarkStoreConfig.enabled;
+    UrlMarkStoreConfig = Object.assign({}, config);
+
+    if (config.enabled && listeners.length === 0) {
+        listeners = [
+            new EventListener(onTabTempValueChanged, ({ entryId, key }) => {
+                if (key !== kTAB_DATA_KEY_MARKED && key !== kTAB_DATA_KEY_LABEL) return;
+                queueOp(() => rememberTab(entryId));
+            }),
+            new EventListener(browser.tabs.onUpdated, (tabId, changeInfo, tab) => {
+                if (!changeInfo.url) return;
+                queueOp(async () => {
+                    if (tabUrls.has(tabId)) {
+                        // A marked tab navigated to a new URL:
+                        await rememberTab(tabId);
+                    } else {
+                        await restoreTab(tabId, tab.url);
+                    }
+                });
+            }, { properties: ['url'] }),
+            new EventListener(browser.tabs.onRemoved, (tabId) => {
+                queueOp(async () => {
+                    const url = tabUrls.get(tabId);
+                    tabUrls.delete(tabId);
+                    if (!url) return;
+                    // The tab was marked until now so its entry shouldn't be forgotten before other entries:
+                    const entry = (await loadEntries()).find(entry => entry.url === url);
+                    if (entry) {
+                        entry.time = Date.now();
+                        scheduleSave();
+                    }
+                });
+            }),
+        ];
+    } else if (!config.enabled) {
+        for (const listener of listeners) {
+            listener.dispose();
+        }
+        listeners = [];
+        tabUrls.clear();
+    }
+
+    if (config.enabled && !wasEnabled) {
+        // Apply remembered marks to tabs that are already open:
+        return queueOp(async () => {
+            const tabs = /** @type {BrowserTab[]} */ (await browser.tabs.query({}));
+            for (const tab of tabs) {
+                await restoreTab(tab.id, tab.url);
+            }
+        });
+    } else if (config.enabled) {
+        // Apply new limits:
+        return queueOp(async () => {
+            await loadEntries();
+            if (pruneEntries()) {
+                scheduleSave();
+            }
+        });
+    }
+}
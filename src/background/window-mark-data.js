@@ -0,0 +1,183 @@
+'use strict';
+/** This module defines global state to track what windows are marked. Like
+ * tab marks, this data might optionally be saved to the browser's persistent
+ * session storage.
+ * @module
+ */
+
+import {
+    WindowSessionDataCache,
+} from '../common/session-data-cache.js';
+
+import {
+    EventManager,
+} from '../common/events.js';
+
+import {
+    kWINDOW_DATA_KEY_MARKED,
+    isColorName,
+} from '../common/common.js';
+
+import {
+    deepCopy,
+} from '../common/utilities.js';
+
+
+/**
+ * @typedef {Object} WindowMarkChangeInfo
+ * @property {number} windowId The id of the window whose mark was changed.
+ * @property {null | string} color The window's new color, `null` if the window isn't marked.
+ */
+null;
+
+
+export let useSessionStorage = false;
+
+/** Notified when a window's mark is changed, including when marks are restored from session data.
+ * @type {EventManager<[WindowMarkChangeInfo]>} */
+export const onWindowMarkChanged = new EventManager();
+
+/** Notified when a value is stored for a window so that the cache is updated.
+ * @type {EventManager<[import('../common/session-data-cache.js').SessionDataChangeInfo]>} */
+const onWindowValueChanged = new EventManager();
+
+/** @type {WindowSessionDataCache?} */
+let cache = null;
+
+
+/**
+ * Create a cache for the current storage.
+ *
+ * @param {null | import('../common/session-data-cache.js').Storage} [initialStorage] Data to start with.
+ * @returns {WindowSessionDataCache} The new cache.
+ */
+function createCache(initialStorage = null) {
+    const c = new WindowSessionDataCache({
+        monitoredKeys: [kWINDOW_DATA_KEY_MARKED],
+        onWindowDataChanged: onWindowValueChanged,
+        getWindowData: useSessionStorage ? null : false,
+        initialStorage,
+    });
+    // Windows that are restored with session data need to be colored:
+    c.onDataChanged.addListener(({ entryId, key, value }) => {
+        if (key === kWINDOW_DATA_KEY_MARKED && c === cache) {
+            onWindowMarkChanged.fire({ windowId: entryId, color: value || null });
+        }
+    });
+    return c;
+}
+
+/**
+ * Get the cache used to store data.
+ *
+ * @returns {WindowSessionDataCache} The current data cache.
+ */
+function getCache() {
+    if (!cache) {
+        cache = createCache();
+    }
+    return cache;
+}
+
+/** Toggle if the browser's persistent session storage is used. Marks are
+ * moved to or removed from the session storage.
+ *
+ * @export
+ * @param {boolean} value `true` to start using the persistent session storage.
+ */
+export async function setWindowMarksUseSessionStorage(value) {
+    value = Boolean(value);
+    if (value === useSessionStorage)
+        return;
+
+    useSessionStorage = value;
+    if (!cache)
+        return;
+
+    const previous = cache;
+    try {
+        await previous.start;
+        const savedData = deepCopy(previous.storage);
+        previous.dispose();
+        cache = createCache(savedData);
+
+        await Promise.all(Object.entries(savedData).map(async ([windowId, data]) => {
+            const color = data[kWINDOW_DATA_KEY_MARKED];
+            if (!color) return;
+            if (useSessionStorage) {
+                await browser.sessions.setWindowValue(parseInt(windowId), kWINDOW_DATA_KEY_MARKED, color);
+            } else {
+                await browser.sessions.removeWindowValue(parseInt(windowId), kWINDOW_DATA_KEY_MARKED);
+            }
+        }));
+    } catch (error) {
+        console.error('Failed to move window marks to or from session data.\nError:\n', error);
+    }
+}
+
+/** Get the color of a window's mark.
+ *
+ * @export
+ * @param {number} windowId Id of a window.
+ * @return {Promise<null | string>} The color of the window or `null` if it isn't marked.
+ */
+export async function getWindowMark(windowId) {
+    try {
+        const data = await getCache().getDataForEntryId(windowId);
+        const color = data && data[kWINDOW_DATA_KEY_MARKED];
+        return typeof color === 'string' && color ? color : null;
+    } catch (error) {
+        console.error('Failed to get mark status for window.', '\nWindowId: ', windowId, '\nError:\n,', error);
+        return null;
+    }
+}
+
+/** Get the ids of all marked windows.
+ *
+ * @export
+ * @return {Promise<null | number[]>} Ids of the marked windows or `null` if the operation failed.
+ */
+export async function getMarkedWindowIds() {
+    try {
+        const data = getCache();
+        await data.start;
+        return Object.entries(data.storage)
+            .filter(([, windowData]) => Boolean(windowData[kWINDOW_DATA_KEY_MARKED]))
+            .map(([windowId,]) => parseInt(windowId));
+    } catch (error) {
+        console.error('Failed to get window ids that are marked.\nError:\n,', error);
+        return null;
+    }
+}
+
+/** Mark a window with a color or remove its mark.
+ *
+ * @export
+ * @param {number} windowId The id of the window.
+ * @param {null | string} color The name of a palette color. `null` or `toolbar` removes the mark.
+ * @return {Promise<boolean>} `false` if the operation failed.
+ */
+export async function setWindowMark(windowId, color) {
+    try {
+        if (color === 'toolbar') color = null;
+        if (color !== null && !isColorName(color)) {
+            throw new Error(`Invalid color name: ${color}`);
+        }
+        if (color === await getWindowMark(windowId)) return true;
+
+        if (useSessionStorage) {
+            if (color === null) {
+                await browser.sessions.removeWindowValue(windowId, kWINDOW_DATA_KEY_MARKED);
+            } else {
+                await browser.sessions.setWindowValue(windowId, kWINDOW_DATA_KEY_MARKED, color);
+            }
+        }
+        const changeDetails = { entryId: windowId, key: kWINDOW_DATA_KEY_MARKED };
+        if (color !== null) changeDetails.newValue = color;
+        onWindowValueChanged.fire(changeDetails);
+        return true;
+    } catch (error) {
+        console.error(`Failed to set mark for window with id ${windowId}.\nError:\n,`, error);
+    }
+    return false;
+}
@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * This module shows the marks of windows by adding a prefix to the window's
+ * title and by adding a class to all of the window's tabs in Tree Style Tab's
+ * sidebar. The class is styled by the `tst_customStyle_window` setting.
+ *
+ * @module
+ */
+
+import {
+    EventListener,
+} from '../common/events.js';
+
+import {
+    DisposableCollection,
+} from '../common/disposables.js';
+
+import {
+    getColorTitle,
+    getTSTWindowClassName,
+} from '../common/common.js';
+
+import {
+    getWindowMark,
+    onWindowMarkChanged,
+} from '../background/window-mark-data.js';
+
+import {
+    TSTCustomStateCache,
+} from '../tree-style-tab/custom-state-cache.js';
+
+
+/**
+ * @typedef {import('../common/utilities.js').BrowserTab} BrowserTab
+ */
+null;
+
+/**
+ * @typedef {Object} WindowMarkDisplay How window marks are shown.
+ * @property {string} Info.titlePreface Text in front of a marked window's title where `%Color%` is replaced with the color's name. Empty to not change window titles.
+ * @property {null | string} Info.tstClassPrefix The prefix for the classes in Tree Style Tab's sidebar. `null` to not add classes.
+ * @property {string[]} Info.colorNames Names of all palette colors.
+ */
+null;
+
+
+/** @type {WindowMarkDisplay} */
+export let CurrentWindowMarkDisplay = { titlePreface: '', tstClassPrefix: null, colorNames: [] };
+
+/** @type {Set<number>} Windows whose title preface was set by this module. */
+const prefacedWindowIds = new Set();
+
+/** @type {TSTCustomStateCache | null} */
+let tstCache = null;
+/** @type {DisposableCollection | null} Listeners that update windows and tabs when marks change. */
+let listeners = null;
+
+let currentOp = null;
+
+/**
+ * Run an operation after all previous operations have completed.
+ *
+ * @param {function(): Promise<any>} callback The operation.
+ * @returns {Promise<void>} Resolves when the operation is done.
+ */
+function queueOp(callback) {
+    const lastOp = currentOp;
+    currentOp = (async () => {
+        try {
+            await lastOp;
+        } catch (error) { }
+        try {
+            await callback();
+        } catch (error) {
+            console.error('Failed to show window marks.\nError:\n', error);
+        }
+    })();
+    return currentOp;
+}
+
+/**
+ * Create a cache for the classes that are added to tabs in TST's sidebar.
+ *
+ * @param {WindowMarkDisplay} display How window marks are shown.
+ * @returns {TSTCustomStateCache} The new cache.
+ */
+function createTSTCache(display) {
+    return new TSTCustomStateCache({
+        classNames: display.colorNames.map(colorName => getTSTWindowClassName(display.tstClassPrefix, colorName)),
+    });
+}
+
+/**
+ * Set the classes of a tab in TST's sidebar to match the mark of its window.
+ *
+ * @param {number} tabId Id of the tab.
+ * @param {null | string} color The mark of the tab's window.
+ * @param {WindowMarkDisplay} display How the mark is shown.
+ */
+async function applyTabClasses(tabId, color, display) {
+    const c = tstCache;
+    if (!c || !display.tstClassPrefix) return;
+    await Promise.all(display.colorNames.map(colorName =>
+        c.set(tabId, getTSTWindowClassName(display.tstClassPrefix, colorName), colorName === color)
+    ));
+}
+
+/**
+ * Show a window's mark.
+ *
+ * @param {number} windowId Id of the window.
+ * @param {null | string} color The window's mark, `null` to remove it.
+ * @param {WindowMarkDisplay} display How the mark is shown.
+ */
+async function applyWindowMark(windowId, color, display) {
+    try {
+        if (color !== null && display.titlePreface) {
+            const titlePreface = display.titlePreface.replaceAll('%Color%', getColorTitle(color));
+            await browser.windows.update(windowId, { titlePreface });
+            prefacedWindowIds.add(windowId);
+        } else if (prefacedWindowIds.has(windowId)) {
+            prefacedWindowIds.delete(windowId);
+            await browser.windows.update(windowId, { titlePreface: '' });
+        }
+
+        if (tstCache && display.tstClassPrefix) {
+            const tabs = /** @type {BrowserTab[]} */ (await browser.tabs.query({ windowId }));
+            await Promise.all(tabs.map(tab => applyTabClasses(tab.id, color, display)));
+        }
+    } catch (error) {
+        // Window was closed.
+        prefacedWindowIds.delete(windowId);
+    }
+}
+
+/**
+ * Show the marks of all windows.
+ *
+ * @param {WindowMarkDisplay} display How the marks are shown.
+ */
+async function applyAllWindowMarks(display) {
+    const windows = await browser.windows.getAll();
+    await Promise.all(windows.map(async (window) => applyWindowMark(window.id, await getWindowMark(window.id), display)));
+}
+
+/** Remove all window title prefaces and TST classes that were added by this module. */
+async function removeAllWindowMarks() {
+    await Promise.all(Array.from(prefacedWindowIds).map(async (windowId) => {
+        try {
+            await browser.windows.update(windowId, { titlePreface: '' });
+        } catch (error) {
+            // Window was closed.
+        }
+    }));
+    prefacedWindowIds.clear();
+
+    if (tstCache) {
+        const c = tstCache;
+        tstCache = null;
+        await c.clear();    // Remove state from tree style tab.
+        c.dispose();
+    }
+}
+
+/**
+ * Listen for changes that affect how window marks are shown.
+ */
+function startListening() {
+    if (listeners) return;
+    listeners = new DisposableCollection([
+        new EventListener(onWindowMarkChanged, ({ windowId, color }) => {
+            const display = CurrentWindowMarkDisplay;
+            queueOp(() => applyWindowMark(windowId, color, display));
+        }),
+        new EventListener(browser.tabs.onCreated, (/** @type {BrowserTab} */ tab) => {
+            const display = CurrentWindowMarkDisplay;
+            if (!tstCache) return;
+            queueOp(async () => applyTabClasses(tab.id, await getWindowMark(tab.windowId), display));
+        }),
+        new EventListener(browser.tabs.onAttached, (tabId, { newWindowId }) => {
+            const display = CurrentWindowMarkDisplay;
+            if (!tstCache) return;
+            queueOp(async () => applyTabClasses(tabId, await getWindowMark(newWindowId), display));
+        }),
+    ]);
+}
+
+/** Assume TST lost its state and add the classes for all marked windows again. */
+export function forceNotifyTSTWindowState() {
+    const display = CurrentWindowMarkDisplay;
+    if (!tstCache || !display.tstClassPrefix) return;
+    return queueOp(async () => {
+        if (tstCache) {
+            // Don't try to remove classes that TST no longer has:
+            tstCache.dispose();
+            tstCache = createTSTCache(display);
+        }
+        await applyAllWindowMarks(display);
+    });
+}
+
+/** Configure how window marks are shown.
+ *
+ * @export
+ * @param {Object} Options
+ * @param {boolean} Options.enabled `false` to not show window marks at all.
+ * @param {string} Options.titlePreface Text in front of a marked window's title. Empty to not change window titles.
+ * @param {null | string} Options.tstClassPrefix The prefix for the classes in Tree Style Tab's sidebar. `null` to not add classes.
+ * @param {string[]} Options.colorNames Names of all palette colors.
+ */
+export function setWindowMarkDisplay({ enabled, titlePreface, tstClassPrefix, colorNames }) {
+    /** @type {WindowMarkDisplay} */
+    const display = enabled ?
+        { titlePreface: titlePreface || '', tstClassPrefix: tstClassPrefix || null, colorNames: colorNames.slice() } :
+        { titlePreface: '', tstClassPrefix: null, colorNames: [] };
+    const previous = CurrentWindowMarkDisplay;
+    if (JSON.stringify(previous) === JSON.stringify(display)) return;
+
+    CurrentWindowMarkDisplay = display;
+
+    const isShown = Boolean(display.titlePreface || display.tstClassPrefix);
+    if (isShown) {
+        startListening();
+    } else if (listeners) {
+        listeners.dispose();
+        listeners = null;
+    }
+
+    return queueOp(async () => {
+        await removeAllWindowMarks();
+        if (!isShown) return;
+        if (display.tstClassPrefix) {
+            tstCache = createTSTCache(display);
+        }
+        await applyAllWindowMarks(display);
+    });
+}
@@ -0,0 +1,292 @@
+'use strict';
+
+/**
+ * Rules that decide which color a tab should be marked with based on its URL.
+ * Rules are stored in the {@link DefaultSettings.autoMarkRules} setting and
+ * earlier rules have higher priority than later ones.
+ *
+ * @module
+ */
+
+import {
+    isColorName,
+    settings,
+} from '../common/common.js';
+
+
+/**
+ * @typedef {import('../common/common.js').DefaultSettings} DefaultSettings
+ */
+null;
+
+/**
+ * How a rule's pattern is compared to a tab's URL.
+ *
+ * - `host`: the pattern is compared to the URL's host name. `*` matches any
+ *   characters and a leading `*.` also matches the domain itself.
+ * - `glob`: the pattern is compared to the whole URL. `*` matches any
+ *   characters and `?` matches a single character.
+ * - `regex`: the pattern is a regular expression that is searched for in the
+ *   whole URL.
+ *
+ * @typedef {'host' | 'glob' | 'regex'} AutoMarkMatchType
+ */
+null;
+
+/**
+ * @typedef {Object} AutoMarkRule
+ * @property {boolean} enabled `false` if the rule should be ignored.
+ * @property {AutoMarkMatchType} matchType How the pattern is compared to URLs.
+ * @property {string} pattern The pattern that URLs are compared to.
+ * @property {string} color Name of the palette color that matching tabs are marked with.
+ */
+null;
+
+
+/** @type {AutoMarkMatchType[]} */
+export const kAUTO_MARK_MATCH_TYPES = ['host', 'glob', 'regex'];
+
+
+/** Longer patterns are treated as invalid. */
+const kMAX_PATTERN_LENGTH = 1000;
+/** Only this many characters of a URL are compared to patterns. This limits how long a slow pattern can take. */
+const kMAX_URL_LENGTH = 2048;
+/** A pattern that took longer than this to check a URL is not used again until the extension is restarted. */
+const kSLOW_PATTERN_TIME_IN_MILLISECONDS = 50;
+
+/** @type {Map<string, RegExp | null>} Compiled patterns, `null` if a pattern was invalid or too slow. */
+const compiledPatterns = new Map();
+
+/**
+ * Escape characters that have a special meaning in regular expressions.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check if a regular expression repeats a group that contains a quantifier or
+ * an alternation, like `(a+)+` or `(a|aa)+`. Such groups can take exponential
+ * time to fail because there are many ways to match the same text.
+ *
+ * @param {string} pattern The source of a regular expression.
+ * @returns {boolean} `true` if a group like that was found.
+ */
+function hasRepeatedAmbiguousGroup(pattern) {
+    /** @type {boolean[]} For each open group, `true` if it contains a quantifier or an alternation. */
+    const groups = [];
+    let inCharacterClass = false;
+    let closedAmbiguousGroup = false;
+    for (let iii = 0; iii < pattern.length; iii++) {
+        const char = pattern[iii];
+        const afterAmbiguousGroup = closedAmbiguousGroup;
+        closedAmbiguousGroup = false;
+        if (char === '\\') {
+            iii++;
+            continue;
+        }
+        if (inCharacterClass) {
+            if (char === ']') inCharacterClass = false;
+            continue;
+        }
+        switch (char) {
+            case '[': {
+                inCharacterClass = true;
+            } break;
+            case '(': {
+                groups.push(false);
+                // Skip the "?" of "(?:", "(?=" and similar groups:
+                if (pattern[iii + 1] === '?') iii++;
+            } break;
+            case ')': {
+                closedAmbiguousGroup = Boolean(groups.pop());
+                if (closedAmbiguousGroup && groups.length > 0) {
+                    groups[groups.length - 1] = true;
+                }
+            } break;
+            case '|':
+            case '*':
+            case '+':
+            case '?':
+            case '{': {
+                if (afterAmbiguousGroup && char !== '|' && char !== '?') return true;
+                if (groups.length > 0) {
+                    groups[groups.length - 1] = true;
+                }
+            } break;
+        }
+    }
+    return false;
+}
+
+/**
+ * Convert a rule's pattern to a regular expression.
+ *
+ * @param {AutoMarkMatchType} matchType
+ * @param {string} pattern
+ * @returns {RegExp} A regular expression that should be tested against a URL's host for `host` rules and against the whole URL otherwise.
+ */
+function toRegExp(matchType, pattern) {
+    if (pattern.length > kMAX_PATTERN_LENGTH) {
+        throw new Error(`Patterns can't be longer than ${kMAX_PATTERN_LENGTH} characters.`);
+    }
+    if (matchType === 'regex') {
+        if (hasRepeatedAmbiguousGroup(pattern)) {
+            throw new Error('Regular expressions that repeat groups with quantifiers or alternatives are not supported.');
+        }
+        return new RegExp(pattern);
+    }
+    if (matchType === 'host') {
+        pattern = pattern.trim().toLowerCase();
+        let prefix = '';
+        if (pattern.startsWith('*.')) {
+            // Match the domain itself as well as all subdomains:
+            prefix = '(?:.*\\.)?';
+            pattern = pattern.slice(2);
+        }
+        return new RegExp('^' + prefix + pattern.split('*').map(escapeRegExp).join('.*') + '$');
+    }
+    return new RegExp('^' + pattern.trim().split('').map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return escapeRegExp(char);
+    }).join('') + '$');
+}
+
+/**
+ * @param {AutoMarkRule} rule
+ * @returns {string} The key that a rule's compiled pattern is cached under.
+ */
+function getPatternKey(rule) {
+    return rule.matchType + ':' + rule.pattern;
+}
+
+/**
+ * Get a cached regular expression for a rule.
+ *
+ * @param {AutoMarkRule} rule
+ * @returns {RegExp | null} `null` if the rule's pattern is invalid.
+ */
+function getRuleRegExp(rule) {
+    const key = getPatternKey(rule);
+    if (!compiledPatterns.has(key)) {
+        let regExp = null;
+        try {
+            regExp = toRegExp(rule.matchType, rule.pattern);
+        } catch (error) {
+            console.warn('Invalid auto-mark rule pattern.\nPattern: ', rule.pattern, '\nError:\n', error);
+        }
+        compiledPatterns.set(key, regExp);
+    }
+    return compiledPatterns.get(key);
+}
+
+/**
+ * Test a rule's regular expression. Patterns that fail or were slow are not
+ * used again. A slow pattern still blocks the background page while it runs
+ * since a regular expression can't be interrupted. Only patterns that can't
+ * take exponential time are allowed and URLs are shortened to limit how long
+ * the remaining patterns can take.
+ *
+ * @param {AutoMarkRule} rule The rule that the regular expression belongs to.
+ * @param {RegExp} regExp The rule's regular expression.
+ * @param {string} text The text to search.
+ * @returns {boolean} `true` if the regular expression matched the text.
+ */
+function testRuleRegExp(rule, regExp, text) {
+    const start = Date.now();
+    try {
+        return regExp.test(text.slice(0, kMAX_URL_LENGTH));
+    } catch (error) {
+        console.warn('Failed to check auto-mark rule pattern, it won\'t be used again.\nPattern: ', rule.pattern, '\nError:\n', error);
+        compiledPatterns.set(getPatternKey(rule), null);
+        return false;
+    } finally {
+        const time = Date.now() - start;
+        if (time > kSLOW_PATTERN_TIME_IN_MILLISECONDS) {
+            console.warn(`Auto-mark rule pattern took ${time} ms to check a URL, it won't be used again.\nPattern: `, rule.pattern);
+            compiledPatterns.set(getPatternKey(rule), null);
+        }
+    }
+}
+
+/**
+ * Check if a rule's pattern is valid.
+ *
+ * @export
+ * @param {AutoMarkRule} rule The rule to check.
+ * @returns {boolean} `true` if the pattern can be used to match URLs.
+ */
+export function isValidRulePattern(rule) {
+    if (!rule.pattern) return false;
+    try {
+        toRegExp(rule.matchType, rule.pattern);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Get the auto-mark rules from the settings, ignoring any malformed entries.
+ *
+ * @export
+ * @param {DefaultSettings} [currentSettings] The settings to read the rules from.
+ * @returns {AutoMarkRule[]} The rules in priority order.
+ */
+export function getAutoMarkRules(currentSettings = settings) {
+    const rules = currentSettings.autoMarkRules;
+    if (!Array.isArray(rules)) return [];
+    return rules.filter(rule =>
+        rule && typeof rule === 'object' &&
+        kAUTO_MARK_MATCH_TYPES.includes(rule.matchType) &&
+        typeof rule.pattern === 'string' &&
+        typeof rule.color === 'string'
+    );
+}
+
+/**
+ * Check if a rule matches a URL.
+ *
+ * @export
+ * @param {AutoMarkRule} rule The rule to check.
+ * @param {string} url The URL of a tab.
+ * @returns {boolean} `true` if the rule matches the URL.
+ */
+export function ruleMatchesUrl(rule, url) {
+    if (!rule.pattern || !url) return false;
+    const regExp = getRuleRegExp(rule);
+    if (!regExp) return false;
+    if (rule.matchType === 'host') {
+        let host;
+        try {
+            host = new URL(url).hostname;
+        } catch (error) {
+            return false;
+        }
+        if (!host) return false;
+        return testRuleRegExp(rule, regExp, host);
+    }
+    return testRuleRegExp(rule, regExp, url);
+}
+
+/**
+ * Find the rule with the highest priority that matches a URL. Disabled rules
+ * and rules for colors that aren't in the palette are ignored.
+ *
+ * @export
+ * @param {AutoMarkRule[]} rules Rules in priority order.
+ * @param {string} url The URL of a tab.
+ * @returns {AutoMarkRule | null} The first matching rule or `null` if no rule matched.
+ */
+export function findMatchingRule(rules, url) {
+    for (const rule of rules) {
+        if (!rule.enabled) continue;
+        if (!isColorName(rule.color) || rule.color === 'toolbar') continue;
+        if (ruleMatchesUrl(rule, url)) return rule;
+    }
+    return null;
+}
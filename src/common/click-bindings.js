@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Helpers for mouse bindings like `Alt+Shift+Left` that mark tabs when they
+ * are clicked in Tree Style Tab's sidebar.
+ *
+ * @module
+ */
+
+
+/**
+ * A parsed mouse binding.
+ *
+ * @typedef {Object} ClickBinding
+ * @property {number} button The mouse button, `0` for the left button and `1` for the middle button.
+ * @property {boolean} altKey `true` if Alt must be pressed.
+ * @property {boolean} ctrlKey `true` if Ctrl must be pressed.
+ * @property {boolean} shiftKey `true` if Shift must be pressed.
+ * @property {boolean} metaKey `true` if the Meta (Command) key must be pressed.
+ */
+null;
+
+/**
+ * The parts of a Tree Style Tab click notification that are compared to
+ * bindings.
+ *
+ * @typedef {Object} ClickInfo
+ * @property {number} button
+ * @property {boolean} altKey
+ * @property {boolean} ctrlKey
+ * @property {boolean} shiftKey
+ * @property {boolean} metaKey
+ */
+null;
+
+
+/** Actions that can be bound to clicks. The binding for each action is stored in the `tst_clickToMark_<action>` setting. */
+export const kCLICK_ACTIONS = Object.freeze(['toggle', 'clear', 'cycle']);
+
+/** Names that can be used for mouse buttons in bindings. */
+const kBUTTONS = Object.freeze({ left: 0, middle: 1 });
+
+/** Names that can be used for modifier keys in bindings. */
+const kMODIFIERS = Object.freeze({
+    alt: 'altKey',
+    ctrl: 'ctrlKey',
+    control: 'ctrlKey',
+    shift: 'shiftKey',
+    meta: 'metaKey',
+    command: 'metaKey',
+});
+
+
+/**
+ * Parse a binding like `Alt+Shift+Left`. Names are case insensitive and the
+ * button must come last. At least one modifier is required so that normal
+ * clicks still select tabs.
+ *
+ * @export
+ * @param {string} text The binding.
+ * @returns {ClickBinding | null} The parsed binding, `null` if the text is empty or invalid.
+ */
+export function parseClickBinding(text) {
+    if (!text || typeof text !== 'string') return null;
+    const parts = text.split('+').map(part => part.trim().toLowerCase());
+    const buttonName = parts.pop();
+    if (!(buttonName in kBUTTONS) || parts.length === 0) return null;
+
+    /** @type {ClickBinding} */
+    const binding = { button: kBUTTONS[buttonName], altKey: false, ctrlKey: false, shiftKey: false, metaKey: false };
+    for (const part of parts) {
+        const key = kMODIFIERS[part];
+        if (!key || binding[key]) return null;
+        binding[key] = true;
+    }
+    return binding;
+}
+
+/**
+ * Check if a click matches a binding. All modifiers must be exactly the same.
+ *
+ * @export
+ * @param {ClickBinding} binding The binding.
+ * @param {ClickInfo} click Info about the click.
+ * @returns {boolean} `true` if the click matches the binding.
+ */
+export function matchesClickBinding(binding, click) {
+    return binding.button === click.button &&
+        binding.altKey === Boolean(click.altKey) &&
+        binding.ctrlKey === Boolean(click.ctrlKey) &&
+        binding.shiftKey === Boolean(click.shiftKey) &&
+        binding.metaKey === Boolean(click.metaKey);
+}
+
+/**
+ * Find the action that is bound to a click.
+ *
+ * @export
+ * @param {ClickInfo} click Info about the click.
+ * @param {{ [action: string]: string }} bindings The binding for each action in {@link kCLICK_ACTIONS}.
+ * @returns {null | 'toggle' | 'clear' | 'cycle'} The bound action, `null` if no action is bound to the click.
+ */
+export function findClickAction(click, bindings) {
+    for (const action of kCLICK_ACTIONS) {
+        const binding = parseClickBinding(bindings[action]);
+        if (binding && matchesClickBinding(binding, click)) {
+            return /** @type {any} */ (action);
+        }
+    }
+    return null;
+}
@@ -8,20 +8,54 @@ import {
     EventManager,
 } from '../common/events.js';
 
+import {
+    migrateStoredSettings,
+} from '../common/settings-migrations.js';
+
 
 
 // #region Constants
 
 /** The key to use for session data stored in tabs. */
 export const kTAB_DATA_KEY_MARKED = 'marked';
-
-/** Internal messages, for now only sent from options page to the background page. */
+/** The key for the optional label of a tab's mark. Stored next to the mark in the tab's session data. */
+export const kTAB_DATA_KEY_LABEL = 'label';
+/** The key for the time (milliseconds since the epoch) when a tab's mark should be removed. Stored next to the mark in the tab's session data. */
+export const kTAB_DATA_KEY_EXPIRES = 'expires';
+/** The key for the color that an auto-mark rule marked a tab with. Stored next to the mark in the tab's session data so that rule marks can be told apart from manual marks after a restart. */
+export const kTAB_DATA_KEY_AUTO_MARKED = 'autoMarked';
+/** The key for the color of a marked window. Stored in the window's session data. */
+export const kWINDOW_DATA_KEY_MARKED = 'marked';
+
+/** Tabs with more marks than this only show this many colors in Tree Style Tab's sidebar. */
+export const kMAX_DISPLAYED_MARKS = 4;
+
+/** Labels are shown in Tree Style Tab's sidebar so keep them short. */
+export const kMAX_LABEL_LENGTH = 100;
+
+/** Internal messages sent from extension pages to the background page. */
 export const kMESSAGE_TYPES = Object.freeze({
     clearSessionData: 'clear-session-data',
     clearMarkers: 'clear-markers',
+    getTabLabel: 'get-tab-label',
+    setTabLabel: 'set-tab-label',
+    getMarkedTabs: 'get-marked-tabs',
+    unmarkTab: 'unmark-tab',
+    exportMarks: 'export-marks',
+    previewImportMarks: 'preview-import-marks',
+    applyImportMarks: 'apply-import-marks',
+    undoMarkChange: 'undo-mark-change',
+    redoMarkChange: 'redo-mark-change',
+    getTabExpiry: 'get-tab-expiry',
+    setTabExpiry: 'set-tab-expiry',
+    clearUrlMarks: 'clear-url-marks',
+    performColorAction: 'perform-color-action',
 });
 
-/** Colors that we support and their rgb values.
+/** The built-in colors and their rgb values. These are used as the default
+ * palette, the user can edit the actual palette via the `palette` setting.
+ *
+ * The `toolbar` color represents an unmarked tab and isn't part of the palette.
  *
  * Taken from the MIT licensed Sidebery addon:
  * [sidebery/src/defaults.ts at aa476a47f3663230ee5722d1a3cebffe4faf3192 · mbnuqw/sidebery](https://github.com/mbnuqw/sidebery/blob/aa476a47f3663230ee5722d1a3cebffe4faf3192/src/defaults.ts#L17-L27)
@@ -43,35 +77,105 @@ export const kICONS = Object.freeze({
     none: 'none',
 })
 
+/** Palette color names are used in CSS class names so they are restricted to these characters. */
+export const kCOLOR_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
 // #endregion Constants
 
 
 
 // #region Settings
 
+/**
+ * A color that tabs can be marked with.
+ *
+ * @typedef {Object} PaletteColor
+ * @property {string} name Unique id for the color. Stored in tab session data and used in CSS class names.
+ * @property {string} rgb The color as 6 hex digits prefixed with `#`.
+ * @property {string} [title] Custom label for the color. If empty then a localized label is used for built-in colors.
+ * @property {boolean} [inherit] Child tabs that are opened from a tab with this color are marked with the same color (if {@link DefaultSettings.inheritMarks_enabled} is `true`). Defaults to `true`.
+ */
+null;
+
+/**
+ * Info about a marked tab that is sent to extension pages.
+ *
+ * @typedef {Object} MarkedTabInfo
+ * @property {number} tabId The id of the tab.
+ * @property {number} windowId The id of the window that contains the tab.
+ * @property {string} title The tab's title.
+ * @property {string} url The tab's URL.
+ * @property {string} [favIconUrl] The tab's icon.
+ * @property {string[]} colors Names of the colors that the tab is marked with.
+ * @property {null | string} label The label of the tab's mark.
+ */
+null;
+
 export class DefaultSettings {
 
     constructor() {
         /** Enable/Disable all extension functionality. This is useful to quickly unregister from Tree Style Tab. */
         this.enabled = true;
 
-        /** @type {keyof kCOLORS} The color that will be toggled using the keyboard shortcut. */
+        /** @type {PaletteColor[]} The colors that tabs can be marked with, in the order they are shown. */
+        this.palette = Object.entries(kCOLORS)
+            .filter(([name,]) => name !== 'toolbar')
+            .map(([name, rgb]) => ({ name, rgb, title: '', inherit: true }));
+
+        /** @type {string} The color that will be toggled using the keyboard shortcut. */
         this.command_toggleColor = 'red';
+        /** @type {string[]} The colors that the cycle color keyboard shortcuts step through in order, `toolbar` means unmarked. Empty to step through all palette colors in palette order with `toolbar` first. */
+        this.command_cycleColors = [];
+        /** Keyboard shortcuts that go to the next or previous marked tab also search other windows. */
+        this.command_markedTabNavigation_crossWindows = false;
 
         /**  */
         this.contextMenu_setColor_enabled = true;
         /** Optional custom title for the root context menu item. */
         this.contextMenu_setColor_title = '';
+        /** Show context menu items that mark or unmark a tab together with its descendants in Tree Style Tab. */
+        this.contextMenu_subtree_enabled = true;
+        /** Show context menu items that mark or unmark all tabs from the same site as the clicked tab. */
+        this.contextMenu_site_enabled = true;
+        /** Tabs are from the same site if they have the same registrable domain (`mail.example.com` and `www.example.com`) instead of the same host name. */
+        this.site_matchRegistrableDomain = false;
+        /** Mark tabs from the same site in all windows instead of only in the current window. */
+        this.site_allWindows = false;
+        /** Show context menu items that make the marks of the selected tabs expire after some time. */
+        this.contextMenu_expiry_enabled = true;
+        /** Show a context menu with actions that affect all tabs that have the same color as the clicked tab. */
+        this.contextMenu_colorActions_enabled = true;
+        /** Show a context menu item that marks the whole window of the clicked tab. */
+        this.contextMenu_window_enabled = true;
+        /** Show context menu items that sort the tabs in a window by color and that move tabs with the same color as the clicked tab next to it. */
+        this.contextMenu_sortTabs_enabled = true;
 
         this.tst_class_enabled = true;
         this.tst_class_name = 'extension-marked-tab-';
 
 
+        /** A custom style for tabs with multiple marks. It is applied once for
+         * each number of marks that a tab can have. */
+        this.tst_customStyle_multiple = `
+.tab.%CustomClass% tab-item-substance .extra-items-container.behind {
+    background: %Color% !important;
+}
+`.trim();
+        /** @type {'split' | 'stripes'} How the colors of a tab with multiple marks are combined into a `%Color%` value. */
+        this.tst_customStyle_multipleMode = 'split';
+
         /** A custom style that should be applied to Tree Style Tab's sidebar. */
         this.tst_customStyle = `
 .tab.%CustomClass% tab-item-substance .extra-items-container.behind {
     background-color: %Color% !important;
 }
+`.trim();
+
+        /** A custom style for all tabs in a marked window. It is applied once for each palette color. */
+        this.tst_customStyle_window = `
+.tab.%CustomClass% tab-item-substance {
+    box-shadow: inset 4px 0 0 %Color% !important;
+}
 `.trim();
 
         /** Replace any occurrences of this string in `tst_customStyle` with the value of `tst_class_name`. */
@@ -84,6 +188,56 @@ export class DefaultSettings {
         this.tst_customStyle_enabled = true;
 
 
+        /** Text that is shown in front of the title of a marked window. `%Color%` is replaced with the name of the window's color. Empty to not change window titles. */
+        this.windowMarks_titlePreface = '[%Color%] ';
+
+
+        /** Show a mark's label as the tab's tooltip in Tree Style Tab's sidebar. */
+        this.tst_label_tooltip_enabled = true;
+        /** Show a mark's label as text in front of the tab's title in Tree Style Tab's sidebar. */
+        this.tst_label_text_enabled = false;
+
+        /** Create the context menu in Tree Style Tab's sidebar using its fake context menu API. Useful for versions of Tree Style Tab that don't show the browser's tab context menu items. */
+        this.tst_contextMenu_enabled = false;
+
+        /** Mark tabs when they are clicked with a modifier key in Tree Style Tab's sidebar. */
+        this.tst_clickToMark_enabled = false;
+        /** Mouse binding that toggles the color from {@link DefaultSettings.command_toggleColor}, for example `Alt+Left`. Empty to disable. */
+        this.tst_clickToMark_toggle = 'Alt+Left';
+        /** Mouse binding that removes a tab's marks. Empty to disable. */
+        this.tst_clickToMark_clear = 'Alt+Shift+Left';
+        /** Mouse binding that changes a tab's mark to the next color in {@link DefaultSettings.command_cycleColors}. Empty to disable. */
+        this.tst_clickToMark_cycle = '';
+
+
+        /** Allow tabs to have multiple marks. Setting a color will then add it to or remove it from a tab's marks. */
+        this.allowMultipleMarks = false;
+
+        /** Mark new child tabs with the colors of their parent tab. Only palette colors with the `inherit` flag are copied. */
+        this.inheritMarks_enabled = false;
+
+        /** The number of mark changes that can be undone. `0` disables undo. */
+        this.markHistory_size = 20;
+
+        /** Mark tabs automatically using {@link DefaultSettings.autoMarkRules}. */
+        this.autoMark_enabled = false;
+        /** @type {import('../common/auto-mark-rules.js').AutoMarkRule[]} Rules that mark tabs based on their URL. Earlier rules have higher priority. */
+        this.autoMarkRules = [];
+
+        /** Remember marks by URL in local storage and mark tabs again when the same URL is opened, even if the browser doesn't restore the session. */
+        this.urlMarks_enabled = false;
+        /** @type {import('../background/url-mark-store.js').UrlMatching} How strictly a tab's URL must match a remembered URL. */
+        this.urlMarks_matching = 'ignoreHash';
+        /** The maximum number of URLs to remember. `0` for no limit. */
+        this.urlMarks_maxEntries = 500;
+        /** Forget URLs that haven't been marked for this many days. `0` to never forget them. */
+        this.urlMarks_maxAgeDays = 30;
+
+        /** Allow other extensions to read and change marks using the external messaging API. */
+        this.externalApi_enabled = false;
+        /** Ids of extensions that can use the external API, separated by new lines. */
+        this.externalApi_allowedIds = '';
+
         /** Store Marker Status as session data. */
         this.useSessionStorageForMarkerStatus = true;
     }
@@ -102,10 +256,7 @@ export function computeTstStyle(settings) {
         return settings.tst_customStyle;
     }
     let totalStyle = '';
-    for (const [colorName, rgb] of Object.entries(kCOLORS)) {
-        if (colorName === 'toolbar') {
-            continue;
-        }
+    for (const { name: colorName, rgb } of getPalette(settings)) {
         let style = `/* Style for ${colorName}: */\n`;
         style += settings.tst_customStyle;
         if (settings.tst_customStyle_ClassPlaceholder && settings.tst_class_name) {
@@ -120,14 +271,188 @@ export function computeTstStyle(settings) {
         style = style.replaceAll(settings.tst_customStyle_ColorPlaceholder, rgb + alpha);
         totalStyle += style + '\n\n';
     }
+    totalStyle += computeTstMultipleMarksStyle(settings);
+    totalStyle += computeTstWindowStyle(settings);
+    return totalStyle;
+}
+
+/** Determine the part of the TST CSS style that colors the tabs in marked
+ * windows. The `tst_customStyle_window` template is applied for each palette
+ * color with the opaque color of the window's mark.
+ *
+ * @param {DefaultSettings} settings The current settings.
+ * @returns {string} The style for tabs in marked windows.
+ */
+function computeTstWindowStyle(settings) {
+    if (
+        !settings.tst_customStyle_window ||
+        !settings.tst_customStyle_ClassPlaceholder ||
+        !settings.tst_class_name
+    ) {
+        return '';
+    }
+    let totalStyle = '';
+    for (const { name: colorName, rgb } of getPalette(settings)) {
+        let style = `/* Style for windows marked ${colorName}: */\n`;
+        style += settings.tst_customStyle_window;
+        style = style.replaceAll(settings.tst_customStyle_ClassPlaceholder, getTSTWindowClassName(settings.tst_class_name, colorName));
+        if (settings.tst_customStyle_ColorPlaceholder) {
+            style = style.replaceAll(settings.tst_customStyle_ColorPlaceholder, rgb);
+        }
+        totalStyle += style + '\n\n';
+    }
+    return totalStyle;
+}
+
+/** Determine the part of the TST CSS style that colors tabs with multiple
+ * marks. The colors of each mark are stored in CSS variables and then the
+ * `tst_customStyle_multiple` template is applied for each possible number of
+ * marks.
+ *
+ * @param {DefaultSettings} settings The current settings.
+ * @returns {string} The style for tabs with multiple marks.
+ */
+function computeTstMultipleMarksStyle(settings) {
+    if (
+        !settings.tst_customStyle_multiple ||
+        !settings.tst_customStyle_ClassPlaceholder ||
+        !settings.tst_class_name
+    ) {
+        return '';
+    }
+    const prefix = settings.tst_class_name;
+    const alpha = alphaToHex(settings.tst_customStyle_ColorAlpha);
+
+    let totalStyle = `/* Colors for tabs with multiple marks: */\n`;
+    for (const { name: colorName, rgb } of getPalette(settings)) {
+        for (let index = 0; index < kMAX_DISPLAYED_MARKS; index++) {
+            totalStyle += `.tab.${prefix}multi-${index}-${colorName} { --mark-tabs-color-${index}: ${rgb + alpha}; }\n`;
+        }
+    }
+    totalStyle += '\n\n';
+
+    for (let count = 2; count <= kMAX_DISPLAYED_MARKS; count++) {
+        const colors = [];
+        for (let index = 0; index < count; index++) {
+            colors.push(`var(--mark-tabs-color-${index})`);
+        }
+        let gradient;
+        if (settings.tst_customStyle_multipleMode === 'stripes') {
+            const stripeWidth = 8;
+            gradient = `repeating-linear-gradient(45deg, ${colors.map((color, index) => `${color} ${index * stripeWidth}px ${(index + 1) * stripeWidth}px`).join(', ')})`;
+        } else {
+            const percent = (index) => Math.round(index * 10000 / count) / 100;
+            gradient = `linear-gradient(to right, ${colors.map((color, index) => `${color} ${percent(index)}% ${percent(index + 1)}%`).join(', ')})`;
+        }
+        let style = `/* Style for ${count} marks: */\n`;
+        style += settings.tst_customStyle_multiple;
+        style = style.replaceAll(settings.tst_customStyle_ClassPlaceholder, `${prefix}multi-${count}`);
+        if (settings.tst_customStyle_ColorPlaceholder) {
+            style = style.replaceAll(settings.tst_customStyle_ColorPlaceholder, gradient);
+        }
+        totalStyle += style + '\n\n';
+    }
     return totalStyle;
 }
 
+/** Get the classes that a tab in TST's sidebar should have for some marks.
+ *
+ * @export
+ * @param {string} prefix The prefix for all classes, see the `tst_class_name` setting.
+ * @param {string[]} colors The tab's marks.
+ * @returns {string[]} Class names.
+ */
+export function getTSTClassNamesForMarks(prefix, colors) {
+    const classNames = colors.map(color => prefix + color);
+    if (colors.length > 1) {
+        const displayed = colors.slice(0, kMAX_DISPLAYED_MARKS);
+        classNames.push(`${prefix}multi-${displayed.length}`);
+        displayed.forEach((color, index) => classNames.push(`${prefix}multi-${index}-${color}`));
+    }
+    return classNames;
+}
+
+/** Get the class that all tabs in a marked window have in TST's sidebar.
+ *
+ * @export
+ * @param {string} prefix The prefix for all classes, see the `tst_class_name` setting.
+ * @param {string} color The window's mark.
+ * @returns {string} The class name.
+ */
+export function getTSTWindowClassName(prefix, color) {
+    return `${prefix}window-${color}`;
+}
+
+/** Get all classes that a tab in TST's sidebar can have for some palette colors.
+ *
+ * @export
+ * @param {string} prefix The prefix for all classes, see the `tst_class_name` setting.
+ * @param {string[]} colorNames Names of all palette colors.
+ * @returns {string[]} Class names.
+ */
+export function getAllTSTClassNames(prefix, colorNames) {
+    const classNames = colorNames.map(color => prefix + color);
+    for (let count = 2; count <= kMAX_DISPLAYED_MARKS; count++) {
+        classNames.push(`${prefix}multi-${count}`);
+    }
+    for (let index = 0; index < kMAX_DISPLAYED_MARKS; index++) {
+        classNames.push(...colorNames.map(color => `${prefix}multi-${index}-${color}`));
+    }
+    return classNames;
+}
+
+/** Get the colors that a tab is marked with from a stored mark value. A tab
+ * with a single mark stores a color name and a tab with multiple marks stores
+ * an array of color names.
+ *
+ * @export
+ * @param {any} value The value stored under {@link kTAB_DATA_KEY_MARKED}.
+ * @returns {string[]} The tab's colors. Empty if the tab isn't marked.
+ */
+export function toMarkColors(value) {
+    if (!value) return [];
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.filter(color => color && typeof color === 'string');
+    return [];
+}
+
+/**
+ * The local storage key that determines which storage area the settings are
+ * kept in. This is always stored locally so that each device can decide if it
+ * should use synced settings.
+ */
+export const kSETTINGS_STORAGE_AREA_KEY = 'settingsStorageArea';
+
+/**
+ * Get the storage area that the settings are kept in.
+ *
+ * @export
+ * @returns {Promise<'local' | 'sync'>} The storage area.
+ */
+export async function loadSettingsStorageArea() {
+    const area = await SettingsTracker.get(kSETTINGS_STORAGE_AREA_KEY, 'local');
+    return area === 'sync' ? 'sync' : 'local';
+}
+
 /**
  * Tracks setting changes and applies them to the global settings object.
  * @type {SettingsTracker<DefaultSettings>}
  */
-export const settingsTracker = new SettingsTracker({ defaultValues: () => new DefaultSettings() });
+export const settingsTracker = new SettingsTracker({
+    storageArea: loadSettingsStorageArea(),
+    defaultValues: () => new DefaultSettings(),
+    migrate: migrateStoredSettings,
+    useManagedStorage: true,
+    // Local storage also contains other data, like extensions that subscribed to mark changes and marks remembered by URL, even when the settings are synced:
+    ignoreUnknownKeys: true,
+});
+// Follow changes to the settings storage area that are made in other pages:
+SettingsTracker.createChangeEventListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[kSETTINGS_STORAGE_AREA_KEY]) return;
+    settingsTracker.setStorageArea(changes[kSETTINGS_STORAGE_AREA_KEY].newValue === 'sync' ? 'sync' : 'local').catch(error => {
+        console.error('Failed to load settings from the new storage area.\nError:\n', error);
+    });
+});
 /**
  * The extensions settings. Changes to settings data is tracked and will be reflected in this object.
  * @type {DefaultSettings}
@@ -142,9 +467,9 @@ export const settings = settingsTracker.settings;
  * @param {K} key The key of the setting that should be loaded.
  * @returns {Promise<(ReturnType<DefaultSettings>[K])>} The value for the loaded setting.
  */
-export function quickLoadSetting(key) {
+export async function quickLoadSetting(key) {
     // @ts-ignore
-    return SettingsTracker.get(key, (new DefaultSettings())[key]);
+    return SettingsTracker.get(key, (new DefaultSettings())[key], await loadSettingsStorageArea());
 }
 
 // #endregion Settings
@@ -257,13 +582,89 @@ export function alphaToHex(alpha) {
     return Math.max(0, Math.min(255, Math.round(255 * alpha))).toString(16);
 }
 
-/** Check if a given string represents a valid color name.
+/** Get the colors in the user's palette. Invalid entries are ignored and
+ * colors without an `inherit` flag are inherited.
+ *
+ * @export
+ * @param {DefaultSettings} [currentSettings] The settings to read the palette from. Defaults to the global settings.
+ * @return {PaletteColor[]} The palette's colors.
+ */
+export function getPalette(currentSettings = settings) {
+    const palette = currentSettings.palette;
+    if (!Array.isArray(palette)) {
+        return new DefaultSettings().palette;
+    }
+    const seen = new Set();
+    return palette.filter(color => {
+        if (!color || typeof color !== 'object') return false;
+        if (typeof color.name !== 'string' || !kCOLOR_NAME_PATTERN.test(color.name)) return false;
+        if (color.name === 'toolbar' || seen.has(color.name)) return false;
+        if (typeof color.rgb !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color.rgb)) return false;
+        seen.add(color.name);
+        return true;
+    }).map(color => 'inherit' in color ? color : Object.assign({}, color, { inherit: true }));
+}
+
+/** Get the names of all colors in the user's palette.
+ *
+ * @export
+ * @param {DefaultSettings} [currentSettings] The settings to read the palette from.
+ * @return {string[]} Color names in palette order.
+ */
+export function getColorNames(currentSettings = settings) {
+    return getPalette(currentSettings).map(color => color.name);
+}
+
+/** Get the colors that the cycle color keyboard shortcuts step through.
+ *
+ * @export
+ * @param {DefaultSettings} [currentSettings] The settings to read the colors from.
+ * @return {string[]} Color names in the order they are cycled through. `toolbar` represents unmarked tabs.
+ */
+export function getCycleColors(currentSettings = settings) {
+    const all = ['toolbar', ...getColorNames(currentSettings)];
+    const wanted = currentSettings.command_cycleColors;
+    if (!Array.isArray(wanted)) return all;
+    // Ignore colors that were removed from the palette:
+    const colors = wanted.filter((name, index) => all.includes(name) && wanted.indexOf(name) === index);
+    return colors.length > 0 ? colors : all;
+}
+
+/** Get the rgb value for a color.
+ *
+ * @export
+ * @param {string} name The name of a palette color or `toolbar`.
+ * @param {DefaultSettings} [currentSettings] The settings to read the palette from.
+ * @return {string | undefined} The color's rgb value as `#rrggbb`.
+ */
+export function getColorRgb(name, currentSettings = settings) {
+    if (name === 'toolbar') return kCOLORS.toolbar;
+    const color = getPalette(currentSettings).find(color => color.name === name);
+    return color ? color.rgb : undefined;
+}
+
+/** Get a user visible label for a color.
+ *
+ * @export
+ * @param {string} name The name of a palette color or `toolbar`.
+ * @param {DefaultSettings} [currentSettings] The settings to read the palette from.
+ * @return {string} A custom title, a localized name for built-in colors or otherwise the color's name.
+ */
+export function getColorTitle(name, currentSettings = settings) {
+    const color = getPalette(currentSettings).find(color => color.name === name);
+    if (color && color.title) return color.title;
+    return browser.i18n.getMessage('color_' + name) || name;
+}
+
+/** Check if a given string represents a valid color name. `toolbar` is always
+ * valid and represents an unmarked tab.
  *
  * @export
  * @param {string} name A string that might represent the name of a color.
- * @return {name is keyof typeof kCOLORS} `true` if name is a valid color name, otherwise `false`.
+ * @param {DefaultSettings} [currentSettings] The settings to read the palette from.
+ * @return {boolean} `true` if name is a valid color name, otherwise `false`.
  */
-export function isColorName(name) {
-    return name in kCOLORS;
+export function isColorName(name, currentSettings = settings) {
+    return name === 'toolbar' || getColorNames(currentSettings).includes(name);
 }
 
@@ -16,6 +16,11 @@ import {
  */
 null;
 
+/**
+ * @typedef {import('../common/utilities.js').BrowserWindow} BrowserWindow
+ */
+null;
+
 /**
  * @typedef {import('../common/events.js').EventSubscriber<T>} EventSubscriber<T>
  * @template {any[]} T
@@ -54,7 +59,7 @@ null;
  *
  * This is an abstract storage that can be used with different real storages:
  * - Tab session data. See {@link TabSessionDataCache}.
- * - Window session data. (This storage isn't currently used by this addon.)
+ * - Window session data. See {@link WindowSessionDataCache}.
  * - Data that isn't actually stored in the browser's session data. (To mimic
  *   the same API.)
  *
@@ -424,4 +429,82 @@ export class TabSessionDataCache extends SessionDataCache {
     static onTabRemoved(tabId, { windowId, isWindowClosing } = {}) {
         return [tabId];
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Cache session data that is stored in windows.
+ *
+ * @export
+ * @class WindowSessionDataCache
+ */
+export class WindowSessionDataCache extends SessionDataCache {
+
+    /**
+     * Creates an instance of WindowSessionDataCache.
+     *
+     * @param {Object} config Configure the cache.
+     * @param {EventSubscriber<[BrowserWindow]> | null} [config.onWindowCreated] Event for created windows.
+     * @param {EventSubscriber<[number]> | null} [config.onWindowRemoved] Event for removed windows.
+     * @param {EventSubscriber<[SessionDataChangeInfo]> | null} [config.onWindowDataChanged] Event for changed window storage value.
+     * @param {false | null | ((windowId: number, key: string) => string | Object)} [config.getWindowData] `null` to get window data via `browser.sessions.getWindowValue`. `false` to don't get data. Otherwise a custom function to get data for a window provided its id and the data key.
+     * @param {string[]} config.monitoredKeys An array of `storageKey` that should be monitored by this cache.
+     * @param {null | Object} [config.initialStorage] Use this object as storage.
+     * @memberof WindowSessionDataCache
+     */
+    constructor({
+        onWindowCreated = browser.windows.onCreated,
+        onWindowRemoved = browser.windows.onRemoved,
+        onWindowDataChanged = null,
+        getWindowData = null,
+        monitoredKeys,
+        initialStorage = null,
+    }) {
+        super({
+            getEntryIds: WindowSessionDataCache.getWindowIds,
+            getStorageValue: getWindowData === null ? WindowSessionDataCache.getWindowData : (getWindowData || null),
+            onEntryCreated: onWindowCreated && new PassthroughEventManager(onWindowCreated, null, (args) => WindowSessionDataCache.onWindowCreated(args[0])),
+            onEntryRemoved: onWindowRemoved,
+            onEntryChanged: onWindowDataChanged,
+            monitoredKeys,
+            initialStorage,
+        });
+    }
+
+    /** Parse a window id as a number
+     *
+     * @static
+     * @param {string | number} windowId A window id.
+     * @return {number} The id as an integer.
+     * @memberof WindowSessionDataCache
+     */
+    static parseWindowId(windowId) {
+        return typeof windowId === 'string' ? parseInt(windowId) : windowId;
+    }
+
+    static async getWindowIds() {
+        return (await browser.windows.getAll()).map((/** @type {BrowserWindow} */ window) => window.id);
+    }
+
+    /** Get a window's data directly from the session storage.
+     *
+     * @static
+     * @param {string | number} windowId
+     * @param {string} key
+     * @return {Promise<any>} The window's data that was stored in the persisted session.
+     * @memberof WindowSessionDataCache
+     */
+    static async getWindowData(windowId, key) {
+        return browser.sessions.getWindowValue(WindowSessionDataCache.parseWindowId(windowId), key);
+    }
+
+    /**
+     * Handles new windows.
+     *
+     * @param {BrowserWindow} window Details of the window that was created.
+     * @returns {[number]} Arguments to use for onEntryCreated event.
+     * @memberof WindowSessionDataCache
+     */
+    static onWindowCreated(window) {
+        return [window.id];
+    }
+}
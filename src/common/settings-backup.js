@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Exports the settings and keyboard shortcuts to a file and imports them
+ * again. Imported settings are upgraded to the current settings version and
+ * validated against {@link DefaultSettings} before they are shown in a
+ * preview.
+ *
+ * @module
+ */
+
+import {
+    DefaultSettings,
+} from '../common/common.js';
+
+import {
+    hasSameValueType,
+} from '../common/settings.js';
+
+import {
+    kSETTINGS_VERSION,
+    migrateSettings,
+} from '../common/settings-migrations.js';
+
+
+/**
+ * A keyboard shortcut in a settings backup.
+ *
+ * @typedef {Object} ShortcutBackupEntry
+ * @property {string} name The name of the command.
+ * @property {string} shortcut The shortcut, an empty string if the command has no shortcut.
+ */
+null;
+
+/**
+ * A backup of the extension's settings.
+ *
+ * @typedef {Object} SettingsBackup
+ * @property {number} version The version of the backup format.
+ * @property {string} exportedAt When the backup was created, as an ISO date string.
+ * @property {number} settingsVersion The version of the settings, see {@link kSETTINGS_VERSION}.
+ * @property {Partial<DefaultSettings>} settings The settings.
+ * @property {ShortcutBackupEntry[]} commands Keyboard shortcuts.
+ */
+null;
+
+/**
+ * The valid parts of a settings backup.
+ *
+ * @typedef {Object} ParsedSettingsBackup
+ * @property {Partial<DefaultSettings>} settings Settings with valid keys and values.
+ * @property {ShortcutBackupEntry[]} commands Keyboard shortcuts for known commands.
+ * @property {string[]} ignoredKeys Settings and commands in the backup that are unknown or have invalid values.
+ */
+null;
+
+/**
+ * @typedef {typeof kSETTINGS_SECTIONS[number]} SettingsSection
+ */
+null;
+
+/**
+ * A setting or keyboard shortcut that will be changed by an import.
+ *
+ * @typedef {Object} SettingsImportChange
+ * @property {SettingsSection} section The section that the change belongs to.
+ * @property {'setting' | 'shortcut'} type What is changed.
+ * @property {string} key The key of the setting or the name of the command.
+ * @property {any} oldValue The current value.
+ * @property {any} newValue The imported value.
+ */
+null;
+
+
+/** The current version of the backup format. */
+export const kSETTINGS_BACKUP_VERSION = 1;
+
+/** Groups of settings that can be imported separately. */
+export const kSETTINGS_SECTIONS = /** @type {const} */ (['general', 'contextMenu', 'palette', 'commands', 'treeStyleTab', 'autoMark', 'markedTabs', 'externalApi']);
+
+
+/**
+ * Get the section that a setting belongs to.
+ *
+ * @export
+ * @param {string} key The key of a setting.
+ * @returns {SettingsSection} The section.
+ */
+export function getSettingSection(key) {
+    if (key === 'enabled') return 'general';
+    if (key === 'palette') return 'palette';
+    if (key.startsWith('command_')) return 'commands';
+    if (key.startsWith('contextMenu_') || key.startsWith('site_')) return 'contextMenu';
+    if (key.startsWith('tst_')) return 'treeStyleTab';
+    if (key.startsWith('autoMark')) return 'autoMark';
+    if (key.startsWith('externalApi_')) return 'externalApi';
+    return 'markedTabs';
+}
+
+/**
+ * Create a backup of settings and keyboard shortcuts.
+ *
+ * @export
+ * @param {DefaultSettings} currentSettings The settings to save.
+ * @param {{ name?: string, shortcut?: string }[]} commands Commands from `browser.commands.getAll`.
+ * @returns {SettingsBackup} The backup.
+ */
+export function createSettingsBackup(currentSettings, commands) {
+    const settings = {};
+    for (const key of Object.keys(new DefaultSettings())) {
+        settings[key] = currentSettings[key];
+    }
+    return {
+        version: kSETTINGS_BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        settingsVersion: kSETTINGS_VERSION,
+        settings: JSON.parse(JSON.stringify(settings)),
+        commands: commands
+            .filter(command => command.name)
+            .map(command => ({ name: command.name, shortcut: command.shortcut || '' })),
+    };
+}
+
+/**
+ * Get the valid settings and keyboard shortcuts from a backup. Settings from
+ * older versions are upgraded first.
+ *
+ * @export
+ * @param {any} backup Data that was read from a backup file.
+ * @param {string[]} commandNames Names of the extension's commands.
+ * @returns {ParsedSettingsBackup} The parts of the backup that can be imported.
+ * @throws {Error} If the data isn't a settings backup.
+ */
+export function parseSettingsBackup(backup, commandNames) {
+    if (!backup || typeof backup !== 'object' || !backup.settings || typeof backup.settings !== 'object' || Array.isArray(backup.settings)) {
+        throw new Error('The file is not a settings backup.');
+    }
+    const defaults = new DefaultSettings();
+    const ignoredKeys = [];
+
+    const migrated = migrateSettings(backup.settings, backup.settingsVersion).settings;
+    const settings = {};
+    for (const [key, value] of Object.entries(migrated)) {
+        if (key in defaults && hasSameValueType(value, defaults[key])) {
+            settings[key] = value;
+        } else {
+            ignoredKeys.push(key);
+        }
+    }
+
+    const commands = [];
+    for (const command of Array.isArray(backup.commands) ? backup.commands : []) {
+        if (command && commandNames.includes(command.name) && typeof command.shortcut === 'string') {
+            commands.push({ name: command.name, shortcut: command.shortcut });
+        } else {
+            ignoredKeys.push(command && typeof command.name === 'string' ? command.name : String(command));
+        }
+    }
+
+    return { settings, commands, ignoredKeys };
+}
+
+/**
+ * Find the settings and keyboard shortcuts that would change if a backup was
+ * imported.
+ *
+ * @export
+ * @param {ParsedSettingsBackup} parsed The valid parts of a backup.
+ * @param {DefaultSettings} currentSettings The current settings.
+ * @param {{ name?: string, shortcut?: string }[]} currentCommands Commands from `browser.commands.getAll`.
+ * @returns {SettingsImportChange[]} The changes ordered by section.
+ */
+export function getSettingsImportChanges(parsed, currentSettings, currentCommands) {
+    /** @type {SettingsImportChange[]} */
+    const changes = [];
+    for (const [key, newValue] of Object.entries(parsed.settings)) {
+        const oldValue = currentSettings[key];
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+        changes.push({ section: getSettingSection(key), type: 'setting', key, oldValue, newValue });
+    }
+    for (const { name, shortcut } of parsed.commands) {
+        const current = currentCommands.find(command => command.name === name);
+        const oldValue = current && current.shortcut || '';
+        if (oldValue === shortcut) continue;
+        changes.push({ section: 'commands', type: 'shortcut', key: name, oldValue, newValue: shortcut });
+    }
+    return changes.sort((a, b) => kSETTINGS_SECTIONS.indexOf(a.section) - kSETTINGS_SECTIONS.indexOf(b.section));
+}
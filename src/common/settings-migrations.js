@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Upgrades stored settings when the meaning or structure of a setting is
+ * changed. Each migration upgrades the settings from the previous version so
+ * they are applied in order until the stored settings have the current
+ * version.
+ *
+ * To change a setting in a way that isn't compatible with previously stored
+ * values, increase {@link kSETTINGS_VERSION} and add a migration for the new
+ * version to the end of {@link kSETTINGS_MIGRATIONS}.
+ *
+ * @module
+ */
+
+
+/**
+ * @typedef {Object} SettingsMigration
+ * @property {number} version The settings version that this migration upgrades to.
+ * @property {function(Object): Object} migrate Get upgraded settings. The argument is a copy of the stored settings from the previous version and can be modified and returned.
+ */
+null;
+
+/**
+ * @typedef {Object} SettingsMigrationResult
+ * @property {Object} settings The upgraded settings.
+ * @property {number} version The version of the upgraded settings.
+ * @property {string[]} changedKeys Keys that were added, changed or removed by the migrations.
+ */
+null;
+
+
+/** The storage key for the version of the stored settings. It is stored in the same storage area as the settings. */
+export const kSETTINGS_VERSION_KEY = 'settingsVersion';
+
+/** The version of the current settings. Settings that were stored before versions were introduced have version `0`. */
+export const kSETTINGS_VERSION = 0;
+
+/**
+ * Migrations ordered by version.
+ *
+ * @type {ReadonlyArray<Readonly<SettingsMigration>>}
+ */
+export const kSETTINGS_MIGRATIONS = Object.freeze([]);
+
+
+/**
+ * Upgrade settings to the current version. This doesn't modify the provided
+ * object.
+ *
+ * @export
+ * @param {Object} stored Settings from storage.
+ * @param {number} version The version of the stored settings.
+ * @param {ReadonlyArray<Readonly<SettingsMigration>>} [migrations] The migrations to apply, ordered by version.
+ * @returns {SettingsMigrationResult} The upgraded settings.
+ */
+export function migrateSettings(stored, version, migrations = kSETTINGS_MIGRATIONS) {
+    stored = stored || {};
+    let settings = JSON.parse(JSON.stringify(stored));
+    if (typeof version !== 'number' || isNaN(version)) {
+        version = 0;
+    }
+    for (const migration of migrations) {
+        if (migration.version <= version) continue;
+        settings = migration.migrate(settings) || settings;
+        version = migration.version;
+    }
+
+    const changedKeys = [...new Set([...Object.keys(stored), ...Object.keys(settings)])]
+        .filter(key => JSON.stringify(stored[key]) !== JSON.stringify(settings[key]));
+    return { settings, version, changedKeys };
+}
+
+/**
+ * Upgrade the settings in a storage area and store the current settings
+ * version there.
+ *
+ * @export
+ * @param {import('../common/settings.js').StorageArea} storageArea The storage area with the settings.
+ */
+export async function migrateStoredSettings(storageArea) {
+    const { [kSETTINGS_VERSION_KEY]: version = 0 } = await browser.storage[storageArea].get(kSETTINGS_VERSION_KEY);
+    if (version === kSETTINGS_VERSION) return;
+    if (typeof version === 'number' && version > kSETTINGS_VERSION) {
+        console.warn(`Settings were stored by a newer version of the extension (settings version ${version}), they will not be changed.`);
+        return;
+    }
+
+    const stored = await browser.storage[storageArea].get(null);
+    delete stored[kSETTINGS_VERSION_KEY];
+
+    const result = migrateSettings(stored, version);
+    const removedKeys = result.changedKeys.filter(key => !(key in result.settings));
+    if (removedKeys.length > 0) {
+        await browser.storage[storageArea].remove(removedKeys);
+    }
+    const changedValues = {};
+    for (const key of result.changedKeys) {
+        if (key in result.settings) {
+            changedValues[key] = result.settings[key];
+        }
+    }
+    changedValues[kSETTINGS_VERSION_KEY] = Math.max(result.version, kSETTINGS_VERSION);
+    await browser.storage[storageArea].set(changedValues);
+}
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Helpers that move the settings between the local and the sync storage
+ * areas.
+ *
+ * @module
+ */
+
+import {
+    DefaultSettings,
+    kSETTINGS_STORAGE_AREA_KEY,
+    loadSettingsStorageArea,
+} from '../common/common.js';
+
+import {
+    kSETTINGS_VERSION,
+    kSETTINGS_VERSION_KEY,
+} from '../common/settings-migrations.js';
+
+
+/**
+ * @typedef {'local' | 'sync'} SettingsStorageArea
+ */
+null;
+
+
+/**
+ * Get the settings that have been changed from their default values in a
+ * storage area. Other data in the storage area is ignored.
+ *
+ * @export
+ * @param {SettingsStorageArea} storageArea The storage area to read.
+ * @returns {Promise<Partial<DefaultSettings>>} The stored settings.
+ */
+export async function getStoredSettings(storageArea) {
+    return await browser.storage[storageArea].get(Object.keys(new DefaultSettings()));
+}
+
+/**
+ * Find settings that would change if the settings in `target` were used
+ * instead of the ones in `source`.
+ *
+ * @export
+ * @param {Partial<DefaultSettings>} source The stored settings that are currently used.
+ * @param {Partial<DefaultSettings>} target The stored settings in the other storage area.
+ * @returns {string[]} Keys of settings that have different values. Empty if the target has no stored settings.
+ */
+export function findSettingConflicts(source, target) {
+    if (Object.keys(target).length === 0) return [];
+    const defaults = new DefaultSettings();
+    return Object.keys(defaults).filter(key => {
+        const sourceValue = key in source ? source[key] : defaults[key];
+        const targetValue = key in target ? target[key] : defaults[key];
+        return JSON.stringify(sourceValue) !== JSON.stringify(targetValue);
+    });
+}
+
+/**
+ * Start using another storage area for the settings.
+ *
+ * @export
+ * @param {SettingsStorageArea} targetArea The storage area that should be used for the settings.
+ * @param {Object} [Options]
+ * @param {boolean} [Options.keepTargetSettings=false] Use the settings that are already stored in the target area instead of copying the current settings there.
+ */
+export async function moveSettings(targetArea, { keepTargetSettings = false } = {}) {
+    const sourceArea = await loadSettingsStorageArea();
+    if (sourceArea === targetArea) return;
+
+    if (!keepTargetSettings) {
+        const source = await getStoredSettings(sourceArea);
+        const target = await getStoredSettings(targetArea);
+        // Set values first so that the target isn't left empty if the sync storage quota is exceeded:
+        await browser.storage[targetArea].set(Object.assign({}, source, { [kSETTINGS_VERSION_KEY]: kSETTINGS_VERSION }));
+        const removedKeys = Object.keys(target).filter(key => !(key in source));
+        if (removedKeys.length > 0) {
+            await browser.storage[targetArea].remove(removedKeys);
+        }
+    }
+
+    // The settings are never removed from the previous area since other devices might still use the synced settings.
+    await browser.storage.local.set({ [kSETTINGS_STORAGE_AREA_KEY]: targetArea });
+}
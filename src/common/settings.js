@@ -46,6 +46,20 @@ export function getOnSettingsChanged() {
     return gOnSettingsChanged.subscriber;
 }
 
+/**
+ * Check if a value has the same type as a setting's default value.
+ *
+ * @export
+ * @param {any} value A value for the setting.
+ * @param {any} defaultValue The setting's default value.
+ * @returns {boolean} `true` if the value can be used for the setting.
+ */
+export function hasSameValueType(value, defaultValue) {
+    return typeof value === typeof defaultValue &&
+        Array.isArray(value) === Array.isArray(defaultValue) &&
+        (value === null) === (defaultValue === null);
+}
+
 /**
  * @template T
 // @ts-ignore
@@ -65,14 +79,22 @@ export class SettingsTracker {
      * Creates an instance of SettingsTracker.
      *
      * @param {Object} [Configuration] Determines how settings are tracked.
-     * @param {null | StorageArea} [Configuration.storageArea] The storage area to track. Defaults to `local`.
+     * @param {null | StorageArea | Promise<StorageArea>} [Configuration.storageArea] The storage area to track. Defaults to `local`. If a promise then the settings are loaded from the area it resolves to.
      * @param {null | function(Changes<T>): any} [Configuration.callback] Callback that should be subscribed to the `onChanged` event.
      * @param {boolean} [Configuration.fallbackToDefault] Determines if default values should be used for deleted keys.
      * @param { Lazy<T> | null } [Configuration.defaultValues] An object with default values for some keys or a function that returns such an object. Ignored if `fallbackToDefault` is `false`.
+     * @param {null | function(StorageArea): Promise<any>} [Configuration.migrate] Called with the tracked storage area before settings are loaded from it. Can be used to upgrade stored settings.
+     * @param {boolean} [Configuration.useManagedStorage] Lock settings to the values in the `managed` storage area, which is set by enterprise policies. Locked settings ignore changes in the tracked storage area. The policy is read once when the settings are loaded.
+     * @param {boolean} [Configuration.ignoreUnknownKeys] Only track keys that have a default value. Other data in the storage area, like data that the extension stores for its own use, is ignored. Requires `defaultValues`.
      * @memberof SettingsTracker
      */
-    constructor({ storageArea = null, callback = null, fallbackToDefault = true, defaultValues = null } = {}) {
-        if (!storageArea || typeof storageArea !== "string") {
+    constructor({ storageArea = null, callback = null, fallbackToDefault = true, defaultValues = null, migrate = null, useManagedStorage = false, ignoreUnknownKeys = false } = {}) {
+        /** @type {null | Promise<StorageArea>} */
+        let storageAreaPromise = null;
+        if (storageArea && typeof storageArea === 'object' && typeof storageArea.then === 'function') {
+            storageAreaPromise = storageArea;
+            storageArea = null;
+        } else if (!storageArea || typeof storageArea !== "string") {
             storageArea = "local";
         }
 
@@ -82,8 +104,14 @@ export class SettingsTracker {
 
 
         this._changedProperties = {};
-        this._storageArea = storageArea;
+        /** @type {null | StorageArea} `null` while waiting for the storage area promise. */
+        this._storageArea = /** @type {null | StorageArea} */ (storageArea);
         this._defaultValues = defaultValues;
+        this._migrate = typeof migrate === 'function' ? migrate : null;
+        this._useManagedStorage = Boolean(useManagedStorage);
+        this._ignoreUnknownKeys = Boolean(ignoreUnknownKeys) && Boolean(defaultValues);
+        /** @type {Partial<T>} Settings that are locked by a policy. */
+        this._lockedValues = {};
 
         this._onChange = new EventManager();
         this._changeListener = null;
@@ -101,7 +129,7 @@ export class SettingsTracker {
         this._changeListener = SettingsTracker.createChangeEventListener(this._handleChange.bind(this));
 
         /** A promise that will be completed once the initial settings have been loaded. */
-        this.start = this._start();
+        this.start = this._start(storageAreaPromise);
     }
 
     /**
@@ -115,6 +143,20 @@ export class SettingsTracker {
         if (areaName !== this._storageArea)
             return;
 
+        if (this._ignoreUnknownKeys) {
+            changes = this._filterUnknownKeys(changes);
+            if (Object.keys(changes).length === 0)
+                return;
+        }
+
+        if (Object.keys(changes).some(key => key in this._lockedValues)) {
+            // Locked settings can't be changed:
+            changes = Object.assign({}, changes);
+            for (const key of Object.keys(this._lockedValues)) {
+                delete changes[key];
+            }
+        }
+
         const entries = Object.entries(changes);
         if (this._changedProperties) {
             for (const [key,] of entries) {
@@ -186,16 +228,202 @@ export class SettingsTracker {
         this._onChange.fire(changes, areaName);
     }
 
-    async _start() {
-        const allSettings = await browser.storage[this._storageArea].get(null);
-        for (const [key, value] of Object.entries(allSettings)) {
+    /**
+     * Remove keys that don't have a default value if the tracker should ignore them.
+     *
+     * @template {Object} V
+     * @param {V} values Values or changes from the tracked storage area.
+     * @returns {V} The values for known keys. The provided object is returned if no key was removed.
+     * @memberof SettingsTracker
+     */
+    _filterUnknownKeys(values) {
+        if (!this._ignoreUnknownKeys) return values;
+        const defaultValues = typeof this._defaultValues === 'function' ? this._defaultValues() : this._defaultValues;
+        const keys = Object.keys(values);
+        if (keys.every(key => key in defaultValues)) return values;
+
+        const filtered = /** @type {V} */ ({});
+        for (const key of keys) {
+            if (key in defaultValues) {
+                filtered[key] = values[key];
+            }
+        }
+        return filtered;
+    }
+
+    /**
+     * Load the initial settings.
+     *
+     * @param {null | Promise<StorageArea>} storageAreaPromise Resolves to the storage area that should be tracked.
+     * @memberof SettingsTracker
+     */
+    async _start(storageAreaPromise) {
+        if (storageAreaPromise) {
+            let storageArea = null;
+            try {
+                storageArea = await storageAreaPromise;
+            } catch (error) {
+                console.error('Failed to determine settings storage area.\nError:\n', error);
+            }
+            this._storageArea = storageArea || "local";
+        }
+        await this._migrateStorageArea(this._storageArea);
+        const [allSettings, lockedValues] = await Promise.all([
+            browser.storage[this._storageArea].get(null),
+            this._useManagedStorage ? this._loadManagedSettings() : {},
+        ]);
+        this._lockedValues = lockedValues;
+        for (const [key, value] of Object.entries(this._filterUnknownKeys(allSettings))) {
             if (!(key in this._changedProperties)) {
                 this.settings[key] = value;
             }
         }
+        Object.assign(this.settings, lockedValues);
         delete this._changedProperties;
     }
 
+    /**
+     * Upgrade the settings in a storage area using the `migrate` callback.
+     *
+     * @param {StorageArea} storageArea The storage area to upgrade.
+     * @memberof SettingsTracker
+     */
+    async _migrateStorageArea(storageArea) {
+        if (!this._migrate) return;
+        try {
+            await this._migrate(storageArea);
+        } catch (error) {
+            console.error(`Failed to migrate settings in the ${storageArea} storage area.\nError:\n`, error);
+        }
+    }
+
+    /**
+     * Load settings from the `managed` storage area. Keys without a default
+     * value and values with the wrong type are ignored.
+     *
+     * @returns {Promise<Partial<T>>} The managed settings. Empty if no policy has been set.
+     * @memberof SettingsTracker
+     */
+    async _loadManagedSettings() {
+        let managed;
+        try {
+            managed = await browser.storage.managed.get(null);
+        } catch (error) {
+            // Thrown when no policy has been set for this extension.
+            return {};
+        }
+        const defaultValues = this._defaultValues ? (typeof this._defaultValues === 'function' ? this._defaultValues() : this._defaultValues) : null;
+        const lockedValues = {};
+        for (const [key, value] of Object.entries(managed || {})) {
+            if (defaultValues) {
+                if (!(key in defaultValues)) continue;
+                if (!hasSameValueType(value, defaultValues[key])) {
+                    console.warn(`Ignoring policy for setting "${key}" since its value has the wrong type.`);
+                    continue;
+                }
+            }
+            lockedValues[key] = value;
+        }
+        return lockedValues;
+    }
+
+    /**
+     * Track another storage area. Settings are loaded from the new area and
+     * listeners are notified about all settings that have different values
+     * there.
+     *
+     * @param {StorageArea} storageArea The storage area to track.
+     * @memberof SettingsTracker
+     */
+    async setStorageArea(storageArea) {
+        await this.start;
+        if (storageArea === this._storageArea) return;
+
+        this._storageArea = storageArea;
+        this._changedProperties = {};
+        let allSettings;
+        try {
+            await this._migrateStorageArea(storageArea);
+            allSettings = this._filterUnknownKeys(await browser.storage[storageArea].get(null));
+        } catch (error) {
+            delete this._changedProperties;
+            throw error;
+        }
+        // Keys that were changed while loading have already been applied by the change listener:
+        const changedProperties = this._changedProperties;
+        delete this._changedProperties;
+        if (storageArea !== this._storageArea) return;
+
+        const newSettings = Object.assign(
+            {},
+            this.fallbackToDefault && this._defaultValues ? (typeof this._defaultValues === 'function' ? this._defaultValues() : this._defaultValues) : {},
+            allSettings,
+            this._lockedValues
+        );
+        /** @type {Changes<T>} */
+        const changes = {};
+        for (const key of new Set([...Object.keys(this.settings), ...Object.keys(newSettings)])) {
+            if (key in changedProperties) continue;
+            const oldValue = this.settings[key];
+            const newValue = newSettings[key];
+            if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+            const change = {};
+            if (key in this.settings) change.oldValue = oldValue;
+            if (key in newSettings) {
+                change.newValue = newValue;
+                this.settings[key] = newValue;
+            } else {
+                delete this.settings[key];
+            }
+            changes[key] = change;
+        }
+
+        if (Object.keys(changes).length > 0) {
+            this._onChange.fire(changes, storageArea);
+        }
+    }
+
+    /**
+     * Set values in the tracked storage area.
+     *
+     * @param {string | string[] | { [settingsKey: string]: any }} key The keys to set values for. If an `Object` then set values for all keys.
+     * @param {any} [value=null] Value to set for all keys. Ignored if `key` is an `Object`.
+     * @memberof SettingsTracker
+     */
+    async set(key, value = null) {
+        await this.start;
+        await SettingsTracker.set(key, value, this._storageArea);
+    }
+
+    /**
+     * Remove keys from the tracked storage area.
+     *
+     * @param {string | string[]} key Key(s) to remove values for.
+     * @memberof SettingsTracker
+     */
+    async remove(key) {
+        await this.start;
+        await SettingsTracker.remove(key, this._storageArea);
+    }
+
+    /**
+     * Remove all settings from the tracked storage area so that they use their
+     * default values again. If unknown keys are ignored then only keys with a
+     * default value are removed and other data is kept.
+     *
+     * @memberof SettingsTracker
+     */
+    async clear() {
+        await this.start;
+        if (this._ignoreUnknownKeys) {
+            const defaultValues = typeof this._defaultValues === 'function' ? this._defaultValues() : this._defaultValues;
+            await SettingsTracker.remove(Object.keys(defaultValues), this._storageArea);
+        } else {
+            await SettingsTracker.clear(this._storageArea);
+        }
+    }
+
     dispose() {
         this._changeListener.dispose();
     }
@@ -210,6 +438,28 @@ export class SettingsTracker {
         return this._storageArea;
     }
 
+    /**
+     * Keys of settings that are locked by a policy. Only available after the settings have been loaded.
+     *
+     * @readonly
+     * @memberof SettingsTracker
+     * @returns {string[]} The locked keys.
+     */
+    get lockedKeys() {
+        return Object.keys(this._lockedValues);
+    }
+
+    /**
+     * Check if a setting is locked by a policy.
+     *
+     * @param {string} key The key of a setting.
+     * @returns {boolean} `true` if the setting can't be changed.
+     * @memberof SettingsTracker
+     */
+    isLocked(key) {
+        return key in this._lockedValues;
+    }
+
     /**
      * `EventListener`s will be notified with (changes, areaName). `areaName` will only be the one that the `SettingsTracker` is monitoring.
      * `changes` is an `Object` where each value is a `{newValue, oldValue}`.
@@ -230,7 +480,7 @@ export class SettingsTracker {
 
     // eslint-disable-next-line valid-jsdoc
     /**
-     * Get values from local storage.
+     * Get values from a storage area.
      *
      * @static
      * @template {string | KA[] | { [settingsKey: string]: any } | null} K Type of the key argument that specifies which settings keys to get values for.
@@ -240,23 +490,24 @@ export class SettingsTracker {
      *
   // @ts-ignore
      * @param {K extends string | string[] ? D : never} [defaultValue=null] The value to use for keys that aren't set. Ignored if key is an `Object`.
+     * @param {StorageArea} [storageArea="local"] The storage area to get values from.
      *
   // @ts-ignore
      * @returns {Promise<K extends string ? D : (K extends (infer KA2)[] ? { [P in KA2]: D } : { [P in keyof K]: K[P] })>} If one key was provided (not in an array) then the value for that key. Otherwise an object with a property for each provided key.
      * @memberof SettingsTracker
      */
-    static async get(key, defaultValue = null) {
+    static async get(key, defaultValue = null, storageArea = "local") {
         if (typeof key === "string") {
-            return (await browser.storage.local.get({ [key]: defaultValue }))[key];
+            return (await browser.storage[storageArea].get({ [key]: defaultValue }))[key];
         } else {
             const data = createObjectFromKeys(key, null, defaultValue); // returns key if it isn't an array.
-            return await browser.storage.local.get(data);
+            return await browser.storage[storageArea].get(data);
         }
     }
 
     // eslint-disable-next-line valid-jsdoc
     /**
-     * Set local storage values.
+     * Set values in a storage area.
      *
      * @static
      * @template {string | string[] | { [settingsKey: string]: any }} K
@@ -264,38 +515,41 @@ export class SettingsTracker {
      *
   // @ts-ignore
      * @param {K extends string | string[] ? any : never} [value=null] Value to set for all keys. Ignored if `key` is an `Object`.
+     * @param {StorageArea} [storageArea="local"] The storage area to set values in.
      * @memberof SettingsTracker
      */
-    static async set(key, value = null) {
+    static async set(key, value = null, storageArea = "local") {
         if (typeof key === "string") {
-            await browser.storage.local.set({
+            await browser.storage[storageArea].set({
                 [key]: value
             });
         } else {
             const data = createObjectFromKeys(key, null, value); // returns key if it isn't an array.
-            await browser.storage.local.set(data);
+            await browser.storage[storageArea].set(data);
         }
     }
 
     /**
-     * Remove all keys from local storage.
+     * Remove keys from a storage area.
      *
      * @static
      * @param {string | string[]} key Key(s) to remove values for.
+     * @param {StorageArea} [storageArea="local"] The storage area to remove values from.
      * @memberof SettingsTracker
      */
-    static async remove(key) {
-        await browser.storage.local.remove(key);
+    static async remove(key, storageArea = "local") {
+        await browser.storage[storageArea].remove(key);
     }
 
     /**
-     * Clear local storage.
+     * Clear a storage area.
      *
      * @static
+     * @param {StorageArea} [storageArea="local"] The storage area to clear.
      * @memberof SettingsTracker
      */
-    static async clear() {
-        await browser.storage.local.clear();
+    static async clear(storageArea = "local") {
+        await browser.storage[storageArea].clear();
     }
 
 
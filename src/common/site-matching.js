@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Helpers that decide if tabs are from the same site.
+ *
+ * @module
+ */
+
+
+/**
+ * Second level domains that are used like top level domains, for example
+ * `example.co.uk`. This is a small heuristic and not a complete public suffix
+ * list.
+ */
+const kCOMMON_SECOND_LEVEL_DOMAINS = new Set([
+    'ac', 'co', 'com', 'edu', 'gov', 'net', 'org', 'ne', 'or', 'go', 'gob', 'mil', 'nic', 'ltd', 'plc', 'sch',
+]);
+
+
+/**
+ * Guess the registrable domain of a host name, for example `example.com` for
+ * `www.example.com` or `example.co.uk` for `news.example.co.uk`.
+ *
+ * @export
+ * @param {string} hostname A host name.
+ * @returns {string} The registrable domain. IP addresses and single label host names are returned unchanged.
+ */
+export function getRegistrableDomain(hostname) {
+    if (/^[\d.]+$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[')) {
+        // IPv4 or IPv6 address
+        return hostname;
+    }
+    const labels = hostname.split('.');
+    if (labels.length <= 2) return hostname;
+    const secondLevel = labels[labels.length - 2];
+    const topLevel = labels[labels.length - 1];
+    const count = topLevel.length === 2 && kCOMMON_SECOND_LEVEL_DOMAINS.has(secondLevel) ? 3 : 2;
+    return labels.slice(-count).join('.');
+}
+
+/**
+ * Get a key that is the same for all URLs from the same site.
+ *
+ * @export
+ * @param {string} url A URL.
+ * @param {Object} [Options]
+ * @param {boolean} [Options.registrableDomain=false] Compare registrable domains instead of full host names so that `www.example.com` and `mail.example.com` are the same site.
+ * @returns {string | null} The site key, `null` if the URL has no host name.
+ */
+export function getSiteKey(url, { registrableDomain = false } = {}) {
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+    if (!hostname) return null;
+    return registrableDomain ? getRegistrableDomain(hostname) : hostname;
+}
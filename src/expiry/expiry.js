@@ -0,0 +1,84 @@
+'use strict';
+
+import {
+    setTextMessages,
+    setMessagePrefix,
+    toggleClass,
+} from '../ui/utilities.js';
+
+import {
+    kMESSAGE_TYPES,
+} from '../common/common.js';
+
+
+setMessagePrefix('message-');
+
+
+/** Close the popup window that shows this page. */
+async function closeWindow() {
+    try {
+        const currentWindow = await browser.windows.getCurrent();
+        await browser.windows.remove(currentWindow.id);
+    } catch (error) {
+        console.error('Failed to close expiry window.\nError:\n', error);
+        window.close();
+    }
+}
+
+/**
+ * Format a time so that it can be used as the value of a `datetime-local` input.
+ *
+ * @param {number} time Milliseconds since the epoch.
+ * @returns {string} The local time as `YYYY-MM-DDTHH:MM`.
+ */
+function toDateTimeLocal(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+async function initiatePage() {
+    setTextMessages();
+    document.title = browser.i18n.getMessage('expiry_Title');
+
+    /** @type {number[]} */
+    let tabIds = [];
+    try {
+        tabIds = (new URLSearchParams(window.location.search).get('tabIds') || '')
+            .split(',')
+            .map(id => parseInt(id))
+            .filter(id => !isNaN(id));
+    } catch (error) {
+        console.error('Failed to get page query params.\nError: ', error);
+    }
+
+    const input = /** @type {HTMLInputElement} */ (document.getElementById('expiryInput'));
+    input.min = toDateTimeLocal(Date.now());
+
+    document.getElementById('cancelButton').addEventListener('click', () => closeWindow());
+    document.getElementById('expiryForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const expires = new Date(input.value).getTime();
+        if (isNaN(expires)) return;
+        try {
+            await browser.runtime.sendMessage({ type: kMESSAGE_TYPES.setTabExpiry, tabIds, expires });
+        } catch (error) {
+            console.error('Failed to set expiry time.\nError:\n', error);
+        }
+        closeWindow();
+    });
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeWindow();
+        }
+    });
+
+    /** @type {{ expires: null | number, isMarked: boolean }[]} */
+    const infos = await Promise.all(tabIds.map(tabId => browser.runtime.sendMessage({ type: kMESSAGE_TYPES.getTabExpiry, tabId })));
+    const expires = infos.map(info => info && info.expires).find(expires => expires);
+    // Default to one hour from now:
+    input.value = toDateTimeLocal(expires || Date.now() + 60 * 60 * 1000);
+    toggleClass(document.getElementById('notMarkedInfo'), 'visible', !infos.some(info => info && info.isMarked));
+    input.focus();
+}
+initiatePage();
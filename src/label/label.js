@@ -0,0 +1,73 @@
+'use strict';
+
+import {
+    setTextMessages,
+    setMessagePrefix,
+    toggleClass,
+} from '../ui/utilities.js';
+
+import {
+    kMAX_LABEL_LENGTH,
+    kMESSAGE_TYPES,
+} from '../common/common.js';
+
+
+setMessagePrefix('message-');
+
+
+/** Close the popup window that shows this page. */
+async function closeWindow() {
+    try {
+        const currentWindow = await browser.windows.getCurrent();
+        await browser.windows.remove(currentWindow.id);
+    } catch (error) {
+        console.error('Failed to close label window.\nError:\n', error);
+        window.close();
+    }
+}
+
+async function initiatePage() {
+    setTextMessages();
+    document.title = browser.i18n.getMessage('label_Title');
+
+    /** @type {number[]} */
+    let tabIds = [];
+    try {
+        tabIds = (new URLSearchParams(window.location.search).get('tabIds') || '')
+            .split(',')
+            .map(id => parseInt(id))
+            .filter(id => !isNaN(id));
+    } catch (error) {
+        console.error('Failed to get page query params.\nError: ', error);
+    }
+
+    const input = /** @type {HTMLInputElement} */ (document.getElementById('labelInput'));
+    input.maxLength = kMAX_LABEL_LENGTH;
+
+    document.getElementById('cancelButton').addEventListener('click', () => closeWindow());
+    document.getElementById('labelForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            await browser.runtime.sendMessage({ type: kMESSAGE_TYPES.setTabLabel, tabIds, label: input.value });
+        } catch (error) {
+            console.error('Failed to set label.\nError:\n', error);
+        }
+        closeWindow();
+    });
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeWindow();
+        }
+    });
+
+    /** @type {{ label: null | string, isMarked: boolean }[]} */
+    const infos = await Promise.all(tabIds.map(tabId => browser.runtime.sendMessage({ type: kMESSAGE_TYPES.getTabLabel, tabId })));
+    const label = infos.map(info => info && info.label).find(label => label);
+    if (label) {
+        input.value = label;
+    }
+    toggleClass(document.getElementById('notMarkedInfo'), 'visible', !infos.some(info => info && info.isMarked));
+    input.focus();
+    input.select();
+}
+initiatePage();
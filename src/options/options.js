@@ -4,6 +4,7 @@ import {
     setTextMessages,
     setMessagePrefix,
     messagePrefix,
+    toggleClass,
 } from '../ui/utilities.js';
 
 import {
@@ -18,17 +19,50 @@ import {
     bindCollapsableAreas,
 } from '../ui/collapsable.js';
 
+import {
+    createListEditor,
+} from '../ui/list-editor.js';
+
 import {
     alphaToHex,
     computeTstStyle,
     getBase64SVGIcon,
-    kCOLORS,
-    kICONS,
+    getColorRgb,
+    getColorNames,
+    getColorTitle,
+    getCycleColors,
+    getPalette,
     kMESSAGE_TYPES,
+    kCOLORS,
+    kSETTINGS_STORAGE_AREA_KEY,
+    loadSettingsStorageArea,
     settings,
     settingsTracker,
 } from '../common/common.js';
 
+import {
+    getAutoMarkRules,
+    isValidRulePattern,
+    kAUTO_MARK_MATCH_TYPES,
+} from '../common/auto-mark-rules.js';
+
+import {
+    parseClickBinding,
+} from '../common/click-bindings.js';
+
+import {
+    createSettingsBackup,
+    getSettingsImportChanges,
+    kSETTINGS_SECTIONS,
+    parseSettingsBackup,
+} from '../common/settings-backup.js';
+
+import {
+    findSettingConflicts,
+    getStoredSettings,
+    moveSettings,
+} from '../common/settings-storage.js';
+
 import {
     createStatusIndicator,
 } from '../ui/status-indicator.js';
@@ -43,10 +77,79 @@ import {
 import { bindDependantSettings, setRequiresPrefix } from '../ui/requires.js';
 
 
+/**
+ * @typedef {import('../common/common.js').PaletteColor} PaletteColor
+ * @typedef {import('../common/auto-mark-rules.js').AutoMarkRule} AutoMarkRule
+ */
+null;
+
+
 setMessagePrefix('message-');
 setRequiresPrefix('requires-')
 
 
+/**
+ * Convert a hex color to a tuple that can be used inside a CSS `rgb` or `rgba` function.
+ *
+ * @param {string} color
+ * @returns {string}
+ */
+function toRgbCssTuple(color) {
+    if (!color.startsWith('#')) throw new Error(`color starts with #`);
+    color = color.slice(1);
+    if (color.length !== 6) throw new Error(`rgb color should have 6 hex digits`);
+    const r = parseInt(color.slice(0, 2), 16);
+    const g = parseInt(color.slice(2, 4), 16);
+    const b = parseInt(color.slice(4, 6), 16);
+    return `${r}, ${g}, ${b}`;
+}
+
+/**
+ * Replace the options of a select element with the colors in the palette.
+ * The selected value is preserved if it is still a valid color.
+ *
+ * @param {HTMLSelectElement} select The element to fill.
+ * @param {Object} [Options]
+ * @param {boolean} [Options.includeToolbar=false] Add an option for the `toolbar` color which represents unmarked tabs.
+ */
+function fillColorSelect(select, { includeToolbar = false } = {}) {
+    const value = select.value;
+    while (select.firstChild) {
+        select.removeChild(select.firstChild);
+    }
+    const colors = getPalette().map(({ name, rgb }) => [name, rgb]);
+    if (includeToolbar) {
+        colors.push(['toolbar', kCOLORS.toolbar]);
+    }
+    for (const [color, rgb] of colors) {
+        const opt = document.createElement('option');
+        opt.textContent = getColorTitle(color);
+        opt.value = color;
+        opt.setAttribute('style', `--option-color-value: ${toRgbCssTuple(rgb)};`);
+        select.appendChild(opt);
+    }
+    if (value) {
+        select.value = value;
+    }
+}
+
+/**
+ * Prevent changes to an element whose setting is locked by a policy.
+ *
+ * @param {HTMLElement} element The element to lock. Buttons are disabled, other elements ignore all input.
+ * @param {string} title Tooltip that explains why the element is locked.
+ */
+function lockElement(element, title) {
+    if (element instanceof HTMLButtonElement) {
+        element.disabled = true;
+    } else {
+        element.setAttribute('inert', '');
+        element.classList.add('lockedByPolicy');
+    }
+    element.title = title;
+}
+
+
 {
     let embedded = true;
     try {
@@ -72,12 +175,16 @@ async function initiatePage() {
     const collapsableInfo = bindCollapsableAreas({
         enabledCheck: [
             { element: document.getElementById('contextMenuArea'), check: () => settings.contextMenu_setColor_enabled, },
-            { element: document.getElementById('tstArea'), check: () => Boolean(settings.tst_customStyle_enabled && settings.tst_customStyle) || Boolean(settings.tst_class_enabled && settings.tst_class_name), }
+            { element: document.getElementById('tstArea'), check: () => Boolean(settings.tst_customStyle_enabled && settings.tst_customStyle) || Boolean(settings.tst_class_enabled && settings.tst_class_name) || settings.tst_label_tooltip_enabled || settings.tst_label_text_enabled || settings.tst_contextMenu_enabled || settings.tst_clickToMark_enabled, }
         ],
     });
 
     /** @type {(() => void) | null} */
     let updateSelectedColorValue = null;
+    /** @type {(() => void) | null} */
+    let updateToggleColorOptions = null;
+    /** @type {(() => Promise<void>) | null} */
+    let updateCycleColorOptions = null;
     const shortcuts = createShortcutsArea({
         commandInfos: {
             'ToggleColor': {
@@ -100,31 +207,14 @@ async function initiatePage() {
                     select.id = "command_toggleColor";
                     selectWithImage.appendChild(select);
 
-                    /**
-                     *
-                     * @param {string} color
-                     * @returns {string}
-                     */
-                    const toRgbCssTuple = (color) => {
-                        if (!color.startsWith('#')) throw new Error(`color starts with #`);
-                        color = color.slice(1);
-                        if (color.length !== 6) throw new Error(`rgb color should have 6 hex digits`);
-                        const r = parseInt(color.slice(0, 2), 16);
-                        const g = parseInt(color.slice(2, 4), 16);
-                        const b = parseInt(color.slice(4, 6), 16);
-                        return `${r}, ${g}, ${b}`;
+                    fillColorSelect(select);
+                    updateToggleColorOptions = () => {
+                        fillColorSelect(select);
+                        select.value = settings.command_toggleColor;
+                        updateSelectedColorValue();
                     };
-
-                    for (const [color, rgb] of Object.entries(kCOLORS)) {
-                        if (color === 'toolbar') continue;
-                        const opt = document.createElement('option');
-                        opt.classList.add(messagePrefix + 'color_' + color);
-                        opt.value = color;
-                        opt.setAttribute('style', `--option-color-value: ${toRgbCssTuple(rgb)};`);
-                        select.appendChild(opt);
-                    }
                     updateSelectedColorValue = () => {
-                        const rgb = kCOLORS[select.value];
+                        const rgb = getColorRgb(select.value);
                         if (rgb === undefined) {
                             select.removeAttribute('style');
                         } else {
@@ -132,11 +222,109 @@ async function initiatePage() {
                             getBase64SVGIcon('circle', rgb + alphaToHex(0.8)).then(image => img.src = image);
                         }
                     };
-                    settingsTracker.start.then(updateSelectedColorValue);
+                    settingsTracker.start.then(updateToggleColorOptions);
 
                     return area;
                 }
             },
+            'CycleColor': {
+                description: 'command_CycleColor',
+                isCollapsed: false,
+                createContent() {
+                    const area = document.createElement('div');
+                    const p = document.createElement('p');
+                    p.classList.add(messagePrefix + 'command_CycleColor_Description');
+                    area.appendChild(p);
+
+                    const list = document.createElement('div');
+                    list.classList.add('cycleColors');
+                    area.appendChild(list);
+
+                    /**
+                     * Store the cycled colors. If all colors are cycled in palette order then nothing is
+                     * stored so that colors that are added to the palette later are cycled as well.
+                     *
+                     * @param {string[]} colors Names of the cycled colors in order.
+                     */
+                    const saveCycleColors = (colors) => {
+                        const all = ['toolbar', ...getColorNames()];
+                        const isDefault = colors.length === all.length && colors.every((color, index) => color === all[index]);
+                        settingsTracker.set({ command_cycleColors: isDefault ? [] : colors });
+                    };
+
+                    updateCycleColorOptions = async () => {
+                        const items = document.createDocumentFragment();
+                        const selected = getCycleColors();
+                        const rgbValues = new Map(getPalette().map(({ name, rgb }) => [name, rgb]));
+                        rgbValues.set('toolbar', kCOLORS.toolbar);
+                        // Cycled colors in their order followed by the other colors:
+                        const colors = [...selected, ...['toolbar', ...getColorNames()].filter(color => !selected.includes(color))];
+                        for (const color of colors) {
+                            const index = selected.indexOf(color);
+                            const row = document.createElement('div');
+                            row.classList.add('cycleColor');
+
+                            const label = document.createElement('label');
+                            const checkbox = document.createElement('input');
+                            checkbox.type = 'checkbox';
+                            checkbox.checked = index >= 0;
+                            checkbox.addEventListener('change', () => {
+                                const checked = checkbox.checked ? [...selected, color] : selected.filter(other => other !== color);
+                                if (checked.length === 0) {
+                                    // At least one color must be cycled:
+                                    checkbox.checked = true;
+                                    return;
+                                }
+                                saveCycleColors(checked);
+                            });
+                            checkbox.value = color;
+                            label.appendChild(checkbox);
+                            const img = document.createElement('img');
+                            img.src = await getBase64SVGIcon(color === 'toolbar' ? 'none' : 'circle', rgbValues.get(color) + alphaToHex(0.8));
+                            label.appendChild(img);
+                            const text = document.createElement('text');
+                            text.textContent = getColorTitle(color);
+                            label.appendChild(text);
+                            row.appendChild(label);
+
+                            for (const [text, offset] of /** @type {[string, number][]} */ ([['▲', -1], ['▼', 1]])) {
+                                const button = document.createElement('button');
+                                button.textContent = text;
+                                button.disabled = index < 0 || !selected[index + offset];
+                                button.addEventListener('click', () => {
+                                    const reordered = selected.slice();
+                                    reordered.splice(index + offset, 0, ...reordered.splice(index, 1));
+                                    saveCycleColors(reordered);
+                                });
+                                row.appendChild(button);
+                            }
+                            items.appendChild(row);
+                        }
+                        while (list.firstChild) {
+                            list.removeChild(list.firstChild);
+                        }
+                        list.appendChild(items);
+                    };
+                    settingsTracker.start.then(updateCycleColorOptions);
+
+                    return area;
+                }
+            },
+            'NextMarkedTab': {
+                description: 'command_NextMarkedTab',
+                isCollapsed: false,
+                createContent() {
+                    const label = document.createElement('label');
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.id = 'command_markedTabNavigation_crossWindows';
+                    label.appendChild(checkbox);
+                    const text = document.createElement('text');
+                    text.classList.add(messagePrefix + 'command_MarkedTabNavigation_crossWindows');
+                    label.appendChild(text);
+                    return label;
+                }
+            },
         },
         headerMessage: 'options_Commands_Title',
         infoMessage: 'options_Commands_Info',
@@ -153,17 +341,319 @@ async function initiatePage() {
     });
     document.getElementById('enabledIndicator').appendChild(enabledIndicator.area);
 
+    const paletteEditor = createListEditor({
+        addButtonMessage: 'options_palette_AddColor',
+        /** @returns {PaletteColor} */
+        createNewItem() {
+            // Colors that were just added might not have been saved yet:
+            const names = paletteEditor.getItems().map(color => color.name);
+            let index = 1;
+            while (names.includes('custom' + index)) {
+                index++;
+            }
+            return { name: 'custom' + index, rgb: '#808080', title: '', inherit: true };
+        },
+        createItemArea({ item, update }) {
+            const area = document.createElement('div');
+            area.classList.add('paletteColor');
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.value = item.rgb;
+            colorInput.addEventListener('change', () => {
+                item.rgb = colorInput.value;
+                update(item);
+            });
+            area.appendChild(colorInput);
+
+            const titleInput = document.createElement('input');
+            titleInput.type = 'text';
+            titleInput.value = item.title || '';
+            titleInput.placeholder = browser.i18n.getMessage('color_' + item.name) || item.name;
+            titleInput.addEventListener('change', () => {
+                item.title = titleInput.value;
+                update(item);
+            });
+            area.appendChild(titleInput);
+
+            const inheritLabel = document.createElement('label');
+            const inheritInput = document.createElement('input');
+            inheritInput.type = 'checkbox';
+            inheritInput.checked = Boolean(item.inherit);
+            inheritInput.addEventListener('change', () => {
+                item.inherit = inheritInput.checked;
+                update(item);
+            });
+            inheritLabel.appendChild(inheritInput);
+            const inheritText = document.createElement('text');
+            inheritText.classList.add(messagePrefix + 'options_palette_Inherit');
+            inheritLabel.appendChild(inheritText);
+            area.appendChild(inheritLabel);
+
+            const name = document.createElement('code');
+            name.textContent = item.name;
+            area.appendChild(name);
+
+            return area;
+        },
+        onChange(palette) {
+            settingsTracker.set({ palette });
+        },
+    });
+    document.getElementById('paletteEditor').appendChild(paletteEditor.area);
+    document.getElementById('resetPalette').addEventListener('click', () => {
+        settingsTracker.remove('palette');
+    });
+
+    /** @type {HTMLSelectElement[]} Color selects in the auto-mark rules editor. */
+    let ruleColorSelects = [];
+    const autoMarkRulesEditor = createListEditor({
+        addButtonMessage: 'options_autoMark_AddRule',
+        /** @returns {AutoMarkRule} */
+        createNewItem() {
+            return { enabled: true, matchType: 'host', pattern: '', color: settings.command_toggleColor };
+        },
+        createItemArea({ item, update }) {
+            const area = document.createElement('div');
+            area.classList.add('autoMarkRule');
+
+            const enabledInput = document.createElement('input');
+            enabledInput.type = 'checkbox';
+            enabledInput.checked = Boolean(item.enabled);
+            enabledInput.addEventListener('change', () => {
+                item.enabled = enabledInput.checked;
+                update(item);
+            });
+            area.appendChild(enabledInput);
+
+            const matchTypeSelect = document.createElement('select');
+            for (const matchType of kAUTO_MARK_MATCH_TYPES) {
+                const opt = document.createElement('option');
+                opt.value = matchType;
+                opt.classList.add(messagePrefix + 'options_autoMark_MatchType_' + matchType);
+                matchTypeSelect.appendChild(opt);
+            }
+            matchTypeSelect.value = item.matchType;
+            area.appendChild(matchTypeSelect);
+
+            const patternInput = document.createElement('input');
+            patternInput.type = 'text';
+            patternInput.value = item.pattern;
+            const checkPattern = () => {
+                patternInput.classList.toggle('invalidPattern', Boolean(item.pattern) && !isValidRulePattern(item));
+            };
+            checkPattern();
+            patternInput.addEventListener('change', () => {
+                item.pattern = patternInput.value;
+                checkPattern();
+                update(item);
+            });
+            matchTypeSelect.addEventListener('change', () => {
+                item.matchType = /** @type {any} */ (matchTypeSelect.value);
+                checkPattern();
+                update(item);
+            });
+            area.appendChild(patternInput);
+
+            const colorSelect = document.createElement('select');
+            fillColorSelect(colorSelect);
+            colorSelect.value = item.color;
+            colorSelect.addEventListener('change', () => {
+                item.color = colorSelect.value;
+                update(item);
+            });
+            ruleColorSelects = ruleColorSelects.filter(select => select.isConnected);
+            ruleColorSelects.push(colorSelect);
+            area.appendChild(colorSelect);
+
+            return area;
+        },
+        onChange(autoMarkRules) {
+            settingsTracker.set({ autoMarkRules });
+        },
+    });
+    document.getElementById('autoMarkRulesEditor').appendChild(autoMarkRulesEditor.area);
+
+    document.getElementById('undoMarkChange').addEventListener('click', () => {
+        browser.runtime.sendMessage({ type: kMESSAGE_TYPES.undoMarkChange });
+    });
+    document.getElementById('redoMarkChange').addEventListener('click', () => {
+        browser.runtime.sendMessage({ type: kMESSAGE_TYPES.redoMarkChange });
+    });
     document.getElementById('clearMarkers').addEventListener('click', () => {
         browser.runtime.sendMessage({ type: kMESSAGE_TYPES.clearMarkers });
     });
     document.getElementById('clearSessionData').addEventListener('click', () => {
         browser.runtime.sendMessage({ type: kMESSAGE_TYPES.clearSessionData });
     });
+    document.getElementById('clearUrlMarks').addEventListener('click', () => {
+        browser.runtime.sendMessage({ type: kMESSAGE_TYPES.clearUrlMarks });
+    });
+
+    document.getElementById('exportMarks').addEventListener('click', async () => {
+        try {
+            const backup = await browser.runtime.sendMessage({ type: kMESSAGE_TYPES.exportMarks });
+            const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'marked-tabs.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+        } catch (error) {
+            console.error('Failed to export marks.\nError:\n', error);
+        }
+    });
+    {
+        const fileInput = /** @type {HTMLInputElement} */ (document.getElementById('importMarksFile'));
+        const preview = document.getElementById('importMarksPreview');
+        const summary = document.getElementById('importMarksSummary');
+        const list = document.getElementById('importMarksList');
+        /** @type {import('../background/mark-backup.js').MarkImportMatch[]} */
+        let matches = [];
+
+        const hidePreview = () => {
+            matches = [];
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
+            }
+            preview.classList.remove('visible');
+            fileInput.value = '';
+        };
+        const showPreview = async (/** @type {{ matches: typeof matches, unmatchedCount: number }} */ result) => {
+            hidePreview();
+            matches = result.matches;
+            summary.textContent = browser.i18n.getMessage('options_importMarks_Summary', [String(matches.length), String(result.unmatchedCount)]);
+            for (const match of matches) {
+                const item = document.createElement('li');
+                for (const color of match.colors) {
+                    const icon = document.createElement('img');
+                    icon.src = await getBase64SVGIcon('circle', getColorRgb(color) + 'ff');
+                    icon.title = getColorTitle(color);
+                    item.appendChild(icon);
+                }
+                const text = document.createElement('span');
+                text.textContent = (match.label ? `[${match.label}] ` : '') + (match.title || match.url);
+                text.title = match.url;
+                item.appendChild(text);
+                list.appendChild(item);
+            }
+            document.getElementById('importMarksApply').toggleAttribute('disabled', matches.length === 0);
+            preview.classList.add('visible');
+        };
+
+        document.getElementById('importMarks').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            try {
+                const backup = JSON.parse(await file.text());
+                await showPreview(await browser.runtime.sendMessage({ type: kMESSAGE_TYPES.previewImportMarks, backup }));
+            } catch (error) {
+                console.error('Failed to read marks backup.\nError:\n', error);
+                hidePreview();
+                alert(browser.i18n.getMessage('options_importMarks_Failed') + '\n' + (error && error.message || error));
+            }
+        });
+        document.getElementById('importMarksApply').addEventListener('click', async () => {
+            try {
+                await browser.runtime.sendMessage({ type: kMESSAGE_TYPES.applyImportMarks, matches });
+            } catch (error) {
+                console.error('Failed to import marks.\nError:\n', error);
+            }
+            hidePreview();
+        });
+        document.getElementById('importMarksCancel').addEventListener('click', () => hidePreview());
+    }
+
+    {
+        const current = document.getElementById('settingsStorageCurrent');
+        const toSync = document.getElementById('settingsStorageToSync');
+        const toLocal = document.getElementById('settingsStorageToLocal');
+        const conflict = document.getElementById('settingsStorageConflict');
+        const summary = document.getElementById('settingsStorageConflictSummary');
+        const list = document.getElementById('settingsStorageConflictList');
+        /** @type {null | 'local' | 'sync'} */
+        let targetArea = null;
+
+        const hideConflict = () => {
+            targetArea = null;
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
+            }
+            conflict.classList.remove('visible');
+        };
+        const updateArea = async () => {
+            const area = await loadSettingsStorageArea();
+            current.textContent = browser.i18n.getMessage(area === 'sync' ? 'options_settingsStorage_CurrentSync' : 'options_settingsStorage_CurrentLocal');
+            toSync.hidden = area === 'sync';
+            toLocal.hidden = area !== 'sync';
+        };
+        const move = async (/** @type {'local' | 'sync'} */ area, /** @type {boolean} */ keepTargetSettings) => {
+            hideConflict();
+            try {
+                await moveSettings(area, { keepTargetSettings });
+            } catch (error) {
+                console.error('Failed to move settings to another storage area.\nError:\n', error);
+                alert(browser.i18n.getMessage('options_settingsStorage_Failed') + '\n' + (error && error.message || error));
+            }
+            await updateArea();
+        };
+        const startMove = async (/** @type {'local' | 'sync'} */ area) => {
+            hideConflict();
+            const conflicts = findSettingConflicts(
+                await getStoredSettings(await loadSettingsStorageArea()),
+                await getStoredSettings(area),
+            );
+            if (conflicts.length === 0) {
+                await move(area, false);
+                return;
+            }
+            targetArea = area;
+            summary.textContent = browser.i18n.getMessage(area === 'sync' ? 'options_settingsStorage_ConflictSync' : 'options_settingsStorage_ConflictLocal', String(conflicts.length));
+            for (const key of conflicts) {
+                const item = document.createElement('li');
+                item.textContent = key;
+                list.appendChild(item);
+            }
+            conflict.classList.add('visible');
+        };
+
+        toSync.addEventListener('click', () => startMove('sync'));
+        toLocal.addEventListener('click', () => startMove('local'));
+        document.getElementById('settingsStorageOverwrite').addEventListener('click', () => targetArea && move(targetArea, false));
+        document.getElementById('settingsStorageKeep').addEventListener('click', () => targetArea && move(targetArea, true));
+        document.getElementById('settingsStorageCancel').addEventListener('click', () => hideConflict());
+        SettingsTracker.createChangeEventListener((changes, areaName) => {
+            if (areaName === 'local' && changes[kSETTINGS_STORAGE_AREA_KEY]) {
+                updateArea();
+            }
+        });
+        updateArea();
+    }
 
     await settingsTracker.start;
     enabledIndicator.isEnabled = settings.enabled;
+    paletteEditor.setItems(getPalette());
+    autoMarkRulesEditor.setItems(getAutoMarkRules());
     collapsableInfo.checkAll();
 
+    const lockedKeys = settingsTracker.lockedKeys;
+    const lockedTitle = browser.i18n.getMessage('options_lockedByPolicy');
+    toggleClass(document.getElementById('lockedByPolicyInfo'), 'visible', lockedKeys.length > 0);
+    for (const [key, elements] of Object.entries({
+        palette: [paletteEditor.area, document.getElementById('resetPalette')],
+        autoMarkRules: [autoMarkRulesEditor.area],
+        command_cycleColors: Array.from(document.querySelectorAll('.cycleColors')),
+        enabled: [document.getElementById('disableExtension'), document.getElementById('enabledExtension')],
+    })) {
+        if (!lockedKeys.includes(key)) continue;
+        for (const element of elements) {
+            lockElement(/** @type {HTMLElement} */ (element), lockedTitle);
+        }
+    }
+
     const boundSettings = bindElementIdsToSettings(settings, {
         handleInputEvent: ({ key, value, element }) => {
             if (element.type === 'number') {
@@ -171,17 +661,30 @@ async function initiatePage() {
                 if (isNaN(value))
                     return;
             }
-            browser.storage.local.set({ [key]: value });
+            settingsTracker.set({ [key]: value });
         },
         onSettingsChanged: settingsTracker.onChange,
         newValuePattern: true,
+        lockedKeys,
+        lockedTitle,
     });
     const checkRequire = bindDependantSettings();
 
+    const clickBindingInputs = /** @type {HTMLInputElement[]} */ (Array.from(document.querySelectorAll('input.clickBinding')));
+    const checkClickBindings = () => {
+        for (const input of clickBindingInputs) {
+            toggleClass(input, 'invalidBinding', Boolean(input.value.trim()) && !parseClickBinding(input.value));
+        }
+    };
+    for (const input of clickBindingInputs) {
+        input.addEventListener('input', checkClickBindings);
+    }
+
     const handleLoad = () => {
         shortcuts.update(); // Keyboard Commands
         boundSettings.skipCurrentInputIgnore();
         checkRequire();
+        checkClickBindings();
     };
     handleLoad();
 
@@ -192,17 +695,32 @@ async function initiatePage() {
         }
         collapsableInfo.checkAll();
         previewStyle.textContent = computeTstStyle(settings);
-        if (changes.command_toggleColor) {
+        if (changes.palette) {
+            paletteEditor.setItems(getPalette());
+            updateToggleColorOptions?.();
+            for (const select of ruleColorSelects) {
+                fillColorSelect(select);
+            }
+        } else if (changes.command_toggleColor) {
             updateSelectedColorValue?.();
         }
+        if (changes.palette || changes.command_cycleColors) {
+            updateCycleColorOptions?.();
+        }
+        if (changes.autoMarkRules) {
+            autoMarkRulesEditor.setItems(getAutoMarkRules());
+        }
+        if (changes.tst_clickToMark_toggle || changes.tst_clickToMark_clear || changes.tst_clickToMark_cycle) {
+            checkClickBindings();
+        }
     });
     previewStyle.textContent = computeTstStyle(settings);
 
     document.getElementById('disableExtension').addEventListener('click', () => {
-        SettingsTracker.set('enabled', false);
+        settingsTracker.set('enabled', false);
     });
     document.getElementById('enabledExtension').addEventListener('click', () => {
-        SettingsTracker.set('enabled', true);
+        settingsTracker.set('enabled', true);
     });
 
     document.getElementById('resetSettingsButton').addEventListener('click', async (e) => {
@@ -215,7 +733,7 @@ async function initiatePage() {
         await Promise.all((await browser.commands.getAll()).map(command => browser.commands.reset(command.name)));
 
         // Clear settings:
-        await browser.storage.local.clear();
+        await settingsTracker.clear();
 
         // Wait for setting change to be applied:
         await delay(100);
@@ -223,5 +741,139 @@ async function initiatePage() {
         // Reload settings:
         handleLoad();
     });
+
+    document.getElementById('exportSettings').addEventListener('click', async () => {
+        try {
+            const backup = createSettingsBackup(settings, await browser.commands.getAll());
+            const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'tst-mark-tabs-settings.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+        } catch (error) {
+            console.error('Failed to export settings.\nError:\n', error);
+        }
+    });
+    {
+        const fileInput = /** @type {HTMLInputElement} */ (document.getElementById('importSettingsFile'));
+        const preview = document.getElementById('importSettingsPreview');
+        const summary = document.getElementById('importSettingsSummary');
+        const sectionsArea = document.getElementById('importSettingsSections');
+        /** @type {import('../common/settings-backup.js').SettingsImportChange[]} */
+        let changes = [];
+        /** @type {Map<string, HTMLInputElement>} Checkboxes that select which sections are imported. */
+        const sectionCheckboxes = new Map();
+        /** @type {{ name?: string, shortcut?: string }[]} The extension's commands when the backup was read. */
+        let commands = [];
+
+        const formatValue = (/** @type {any} */ value) => {
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return text.length > 80 ? text.slice(0, 79) + '…' : text;
+        };
+        const hidePreview = () => {
+            changes = [];
+            sectionCheckboxes.clear();
+            while (sectionsArea.firstChild) {
+                sectionsArea.removeChild(sectionsArea.firstChild);
+            }
+            preview.classList.remove('visible');
+            fileInput.value = '';
+        };
+        const showPreview = (/** @type {import('../common/settings-backup.js').ParsedSettingsBackup} */ parsed) => {
+            hidePreview();
+            changes = getSettingsImportChanges(parsed, settings, commands);
+            summary.textContent = browser.i18n.getMessage('options_importSettings_Summary', [String(changes.length), String(parsed.ignoredKeys.length)]);
+            for (const section of kSETTINGS_SECTIONS) {
+                const sectionChanges = changes.filter(change => change.section === section);
+                if (sectionChanges.length === 0) continue;
+
+                const area = document.createElement('div');
+                area.classList.add('importSettingsSection');
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = true;
+                sectionCheckboxes.set(section, checkbox);
+                label.appendChild(checkbox);
+                const text = document.createElement('text');
+                text.textContent = browser.i18n.getMessage('options_settingsBackup_Section_' + section) + ` (${sectionChanges.length})`;
+                label.appendChild(text);
+                area.appendChild(label);
+
+                const list = document.createElement('ul');
+                for (const change of sectionChanges) {
+                    const item = document.createElement('li');
+                    const key = document.createElement('code');
+                    key.textContent = change.type === 'shortcut' ? browser.i18n.getMessage('options_importSettings_Shortcut', change.key) : change.key;
+                    item.appendChild(key);
+                    item.appendChild(document.createTextNode(`: ${formatValue(change.oldValue)} → ${formatValue(change.newValue)}`));
+                    if (change.type === 'setting' && settingsTracker.isLocked(change.key)) {
+                        item.classList.add('locked');
+                        item.title = lockedTitle;
+                    }
+                    list.appendChild(item);
+                }
+                area.appendChild(list);
+                sectionsArea.appendChild(area);
+            }
+            document.getElementById('importSettingsApply').toggleAttribute('disabled', changes.length === 0);
+            preview.classList.add('visible');
+        };
+
+        document.getElementById('importSettings').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) return;
+            try {
+                commands = await browser.commands.getAll();
+                const parsed = parseSettingsBackup(JSON.parse(await file.text()), commands.map(command => command.name));
+                showPreview(parsed);
+            } catch (error) {
+                console.error('Failed to read settings backup.\nError:\n', error);
+                hidePreview();
+                alert(browser.i18n.getMessage('options_importSettings_Failed') + '\n' + (error && error.message || error));
+            }
+        });
+        document.getElementById('importSettingsApply').addEventListener('click', async () => {
+            const selected = changes.filter(change => sectionCheckboxes.get(change.section)?.checked);
+            hidePreview();
+
+            const values = {};
+            for (const change of selected) {
+                if (change.type === 'setting' && !settingsTracker.isLocked(change.key)) {
+                    values[change.key] = change.newValue;
+                }
+            }
+            const failedShortcuts = [];
+            try {
+                if (Object.keys(values).length > 0) {
+                    await settingsTracker.set(values);
+                }
+                for (const change of selected) {
+                    if (change.type !== 'shortcut') continue;
+                    try {
+                        await browser.commands.update({ name: change.key, shortcut: change.newValue });
+                    } catch (error) {
+                        console.error(`Failed to import shortcut for command "${change.key}".\nError:\n`, error);
+                        failedShortcuts.push(change.key);
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to import settings.\nError:\n', error);
+                alert(browser.i18n.getMessage('options_importSettings_Failed') + '\n' + (error && error.message || error));
+            }
+            if (failedShortcuts.length > 0) {
+                alert(browser.i18n.getMessage('options_importSettings_ShortcutsFailed') + '\n' + failedShortcuts.join('\n'));
+            }
+
+            // Wait for setting change to be applied:
+            await delay(100);
+            handleLoad();
+        });
+        document.getElementById('importSettingsCancel').addEventListener('click', () => hidePreview());
+    }
 }
 initiatePage();
\ No newline at end of file
@@ -0,0 +1,74 @@
+'use strict';
+
+import {
+    setTextMessages,
+    setMessagePrefix,
+} from '../ui/utilities.js';
+
+import {
+    kMESSAGE_TYPES,
+} from '../common/common.js';
+
+
+setMessagePrefix('message-');
+
+
+/** Close the popup window that shows this page. */
+async function closeWindow() {
+    try {
+        const currentWindow = await browser.windows.getCurrent();
+        await browser.windows.remove(currentWindow.id);
+    } catch (error) {
+        console.error('Failed to close dialog window.\nError:\n', error);
+        window.close();
+    }
+}
+
+function initiatePage() {
+    setTextMessages();
+    document.title = browser.i18n.getMessage('permission_Title');
+
+    let permissions = [];
+    let action = null;
+    let color = null;
+    let windowId;
+    let confirmCount = 0;
+    try {
+        const params = new URLSearchParams(window.location.search);
+        permissions = (params.get('permissions') || '').split(',').filter(permission => permission);
+        action = params.get('action');
+        color = params.get('color');
+        windowId = parseInt(params.get('windowId'));
+        if (isNaN(windowId)) windowId = undefined;
+        confirmCount = parseInt(params.get('confirmCount')) || 0;
+    } catch (error) {
+        console.error('Failed to get page query params.\nError: ', error);
+    }
+
+    if (confirmCount > 0) {
+        // Confirm an action instead of asking for permissions:
+        document.title = browser.i18n.getMessage('permission_ConfirmClose_Title');
+        document.getElementById('description').textContent = browser.i18n.getMessage('permission_ConfirmClose_Description', String(confirmCount));
+        document.getElementById('allowButton').textContent = browser.i18n.getMessage('permission_ConfirmClose_Allow');
+    }
+
+    document.getElementById('cancelButton').addEventListener('click', () => closeWindow());
+    document.getElementById('allowButton').addEventListener('click', async () => {
+        try {
+            // Must be requested before anything is awaited:
+            if (permissions.length === 0 || await browser.permissions.request({ permissions })) {
+                await browser.runtime.sendMessage({ type: kMESSAGE_TYPES.performColorAction, action, color, windowId });
+            }
+        } catch (error) {
+            console.error('Failed to request permissions.\nError:\n', error);
+        }
+        closeWindow();
+    });
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeWindow();
+        }
+    });
+    document.getElementById('allowButton').focus();
+}
+initiatePage();
@@ -0,0 +1,189 @@
+'use strict';
+
+import {
+    setTextMessages,
+    setMessagePrefix,
+    toggleClass,
+} from '../ui/utilities.js';
+
+import {
+    getBase64SVGIcon,
+    getColorRgb,
+    getColorTitle,
+    getPalette,
+    kMESSAGE_TYPES,
+    settingsTracker,
+} from '../common/common.js';
+
+
+/**
+ * @typedef {import('../common/common.js').MarkedTabInfo} MarkedTabInfo
+ */
+null;
+
+
+setMessagePrefix('message-');
+
+
+/**
+ * Check if a tab should be shown for a search query.
+ *
+ * @param {MarkedTabInfo} info The marked tab.
+ * @param {string} query Lower case search text.
+ * @returns {boolean} `true` if the tab matches the query.
+ */
+function matchesQuery(info, query) {
+    if (!query) return true;
+    return [info.title, info.url, info.label]
+        .some(text => text && text.toLowerCase().includes(query));
+}
+
+/**
+ * Focus a tab and its window.
+ *
+ * @param {MarkedTabInfo} info The tab to activate.
+ */
+async function activateTab(info) {
+    try {
+        await browser.tabs.update(info.tabId, { active: true });
+        await browser.windows.update(info.windowId, { focused: true });
+        window.close();
+    } catch (error) {
+        console.error('Failed to activate marked tab.\nError:\n', error);
+    }
+}
+
+/**
+ * Create a row for a marked tab.
+ *
+ * @param {MarkedTabInfo} info The marked tab.
+ * @param {string} color The color group that the row is shown in.
+ * @param {function(): any} onUnmarked Called after the color was removed from the tab.
+ * @returns {HTMLElement} The row.
+ */
+function createTabRow(info, color, onUnmarked) {
+    const row = document.createElement('div');
+    row.classList.add('markedTab');
+    row.tabIndex = 0;
+    row.title = info.url;
+
+    const icon = document.createElement('img');
+    icon.classList.add('favIcon');
+    if (info.favIconUrl && !info.favIconUrl.startsWith('chrome://')) {
+        icon.src = info.favIconUrl;
+    }
+    row.appendChild(icon);
+
+    const text = document.createElement('div');
+    text.classList.add('tabText');
+    if (info.label) {
+        const label = document.createElement('span');
+        label.classList.add('tabLabel');
+        label.textContent = info.label;
+        text.appendChild(label);
+    }
+    const title = document.createElement('span');
+    title.classList.add('tabTitle');
+    title.textContent = info.title || info.url;
+    text.appendChild(title);
+    row.appendChild(text);
+
+    const unmark = document.createElement('button');
+    unmark.classList.add('unmarkButton');
+    unmark.textContent = '✕';
+    unmark.title = browser.i18n.getMessage('popup_Unmark');
+    unmark.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        try {
+            await browser.runtime.sendMessage({ type: kMESSAGE_TYPES.unmarkTab, tabId: info.tabId, color });
+        } catch (error) {
+            console.error('Failed to unmark tab.\nError:\n', error);
+        }
+        onUnmarked();
+    });
+    row.appendChild(unmark);
+
+    row.addEventListener('click', () => activateTab(info));
+    row.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            activateTab(info);
+        }
+    });
+
+    return row;
+}
+
+
+async function initiatePage() {
+    setTextMessages();
+
+    const searchInput = /** @type {HTMLInputElement} */ (document.getElementById('searchInput'));
+    searchInput.placeholder = browser.i18n.getMessage('popup_Search');
+    const area = document.getElementById('markedTabs');
+    const noMarkedTabs = document.getElementById('noMarkedTabs');
+
+    /** @type {MarkedTabInfo[]} */
+    let markedTabs = [];
+
+    const render = async () => {
+        const query = searchInput.value.trim().toLowerCase();
+        const tabs = markedTabs.filter(info => matchesQuery(info, query));
+
+        // Palette order first, then any colors that were removed from the palette:
+        const colors = getPalette().map(color => color.name);
+        for (const info of tabs) {
+            for (const color of info.colors) {
+                if (!colors.includes(color)) colors.push(color);
+            }
+        }
+
+        const groups = document.createDocumentFragment();
+        for (const color of colors) {
+            const colorTabs = tabs.filter(info => info.colors.includes(color));
+            if (colorTabs.length === 0) continue;
+
+            const group = document.createElement('div');
+            group.classList.add('colorGroup');
+
+            const header = document.createElement('header');
+            const rgb = getColorRgb(color);
+            if (rgb) {
+                const icon = document.createElement('img');
+                icon.src = await getBase64SVGIcon('circle', rgb + 'ff');
+                header.appendChild(icon);
+            }
+            const title = document.createElement('span');
+            title.textContent = `${getColorTitle(color)} (${colorTabs.length})`;
+            header.appendChild(title);
+            group.appendChild(header);
+
+            for (const info of colorTabs) {
+                group.appendChild(createTabRow(info, color, () => update()));
+            }
+            groups.appendChild(group);
+        }
+
+        while (area.firstChild) {
+            area.removeChild(area.firstChild);
+        }
+        area.appendChild(groups);
+        toggleClass(noMarkedTabs, 'visible', tabs.length === 0);
+    };
+
+    const update = async () => {
+        try {
+            markedTabs = (await browser.runtime.sendMessage({ type: kMESSAGE_TYPES.getMarkedTabs })) || [];
+        } catch (error) {
+            console.error('Failed to get marked tabs.\nError:\n', error);
+            markedTabs = [];
+        }
+        await render();
+    };
+
+    searchInput.addEventListener('input', () => render());
+
+    await settingsTracker.start;
+    await update();
+    searchInput.focus();
+}
+initiatePage();
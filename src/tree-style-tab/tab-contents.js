@@ -0,0 +1,84 @@
+'use strict';
+
+import {
+    kTST_ID,
+} from '../tree-style-tab/utilities.js';
+
+
+/**
+ * Escape text so that it can be used inside HTML that is sent to Tree Style Tab.
+ *
+ * @export
+ * @param {string} text Text that might contain HTML special characters.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Override the tooltip of a tab in Tree Style Tab's sidebar.
+ *
+ * @export
+ * @param {number} tabId Id of the affected tab.
+ * @param {null | string} text The tooltip text. `null` to restore the default tooltip.
+ * @returns {Promise<boolean>} `true` if Tree Style Tab was notified; otherwise `false`.
+ */
+export async function setTooltipTextInTST(tabId, text) {
+    try {
+        if (text === null) {
+            await browser.runtime.sendMessage(kTST_ID, {
+                type: 'clear-tooltip-text',
+                tab: tabId,
+            });
+        } else {
+            await browser.runtime.sendMessage(kTST_ID, {
+                type: 'set-tooltip-text',
+                tab: tabId,
+                text,
+                force: true,
+            });
+        }
+        return true;
+    } catch (error) {
+        console.error(`Failed to ${text === null ? 'clear' : 'set'} tooltip text for a tab in Tree Style Tab's sidebar.\nTab id: `, tabId, '\nError:\n', error);
+    }
+    return false;
+}
+
+/**
+ * Add extra HTML contents to a tab in Tree Style Tab's sidebar.
+ *
+ * @export
+ * @param {number} tabId Id of the affected tab.
+ * @param {string} place Where the contents should be placed, for example `tab-front` or `tab-behind`.
+ * @param {null | string} contents HTML contents. `null` to remove any contents that was previously added.
+ * @returns {Promise<boolean>} `true` if Tree Style Tab was notified; otherwise `false`.
+ */
+export async function setExtraContentsInTST(tabId, place, contents) {
+    try {
+        if (contents === null) {
+            await browser.runtime.sendMessage(kTST_ID, {
+                type: 'clear-extra-contents',
+                place,
+                tab: tabId,
+            });
+        } else {
+            await browser.runtime.sendMessage(kTST_ID, {
+                type: 'set-extra-contents',
+                place,
+                tab: tabId,
+                contents,
+            });
+        }
+        return true;
+    } catch (error) {
+        console.error(`Failed to ${contents === null ? 'clear' : 'set'} extra contents for a tab in Tree Style Tab's sidebar.\nTab id: `, tabId, '\nPlace: ', place, '\nError:\n', error);
+    }
+    return false;
+}
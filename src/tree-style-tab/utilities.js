@@ -139,6 +139,33 @@ export function getDescendantsFromTSTTab(tstTab) {
     return all;
 }
 
+/**
+ * Reorder root tabs in Tree Style Tab's sidebar. Each root tab is moved
+ * together with its descendants.
+ *
+ * @export
+ * @param {TSTTab[]} current The root tabs in their current order.
+ * @param {TSTTab[]} wanted The same tabs in the wanted order.
+ */
+export async function moveTSTTrees(current, wanted) {
+    const order = current.map(tab => tab.id);
+    // Place each tree before the next one, starting from the end:
+    for (let iii = wanted.length - 2; iii >= 0; iii--) {
+        const tabId = wanted[iii].id;
+        const referenceTabId = wanted[iii + 1].id;
+        if (order.indexOf(tabId) === order.indexOf(referenceTabId) - 1) continue;
+
+        await browser.runtime.sendMessage(kTST_ID, {
+            type: 'move-before',
+            tab: tabId,
+            referenceTabId,
+            followChildren: true,
+        });
+        order.splice(order.indexOf(tabId), 1);
+        order.splice(order.indexOf(referenceTabId), 0, tabId);
+    }
+}
+
 /**
  * Unregister from Tree Style Tab.
  *
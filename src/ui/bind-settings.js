@@ -48,6 +48,8 @@ null;
  * @property {null | function(BoundElementEvent): any} [details.handleInputEvent] A function to listen for changes in the elements' values.
  * @property {EventSubscriber<[T, ...any[]]>} [details.onSettingsChanged] Event that is notified with changes to the settings object. Keys are element ids and Values are the elements new value. If the `newValuePattern` property is `true` then values are actually objects with `oldValue` and `newValue` properties.
  * @property {number} [details.timeToIgnoreSettingAfterInputInMilliseconds] If both `onSettingsChanged` and `handleInputEvent` is provided then `onSettingsChanged` changes will be ignored until there hasn't been input changes for at least this long for the affected element.
+ * @property {string[]} [details.lockedKeys] Keys of settings that can't be changed. Their elements are disabled.
+ * @property {string} [details.lockedTitle] Tooltip for the elements of locked settings.
 */
 /** @template N
  *  @typedef {Object} bindElementIdsToSettingsConfig_NewValuePatter
@@ -76,6 +78,8 @@ export function bindElementIdsToSettings(settings, {
     // @ts-ignore
     newValuePattern = true,
     timeToIgnoreSettingAfterInputInMilliseconds = 500,
+    lockedKeys = [],
+    lockedTitle = '',
 } = {}) {
     if (!handleInputEvent || typeof handleInputEvent !== 'function') {
         handleInputEvent = null;
@@ -114,6 +118,13 @@ export function bindElementIdsToSettings(settings, {
         };
         setValue(settings[key]);
 
+        if (lockedKeys && lockedKeys.includes(key)) {
+            element.disabled = true;
+            if (lockedTitle) {
+                element.title = lockedTitle;
+            }
+        }
+
         // Handle setting changes:
 
         let lastInputTime = setElementValue && timeToIgnoreSettingAfterInputInMilliseconds > 0 ? 0 : null;
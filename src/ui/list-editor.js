@@ -0,0 +1,145 @@
+'use strict';
+
+import {
+    messagePrefix,
+    setTextMessages,
+} from '../ui/utilities.js';
+
+import {
+    deepCopy,
+    deepCopyCompare,
+} from '../common/utilities.js';
+
+
+/**
+ * Info about a row in a list editor.
+ *
+ * @template T
+ * @typedef {Object} ListEditorItemInfo
+ * @property {T} Info.item A copy of the item that the row represents.
+ * @property {number} Info.index The index of the item in the list.
+ * @property {function(T): void} Info.update Replace the item with a modified copy.
+ */
+null;
+
+/**
+ * A list editor that was created by {@link createListEditor}.
+ *
+ * @template T
+ * @typedef {Object} ListEditor
+ * @property {HTMLElement} Info.area The root element of the editor.
+ * @property {function(T[]): void} Info.setItems Show new items. Does nothing if the items are the same as the current ones.
+ * @property {function(): T[]} Info.getItems Get a copy of the current items.
+ */
+null;
+
+
+/**
+ * Create an editor for an ordered list of items. Each item is shown as a row
+ * with buttons to move it up or down or to remove it.
+ *
+ * @export
+ * @template T
+ * @param {Object} details Configure the editor.
+ * @param {function(ListEditorItemInfo<T>): Node} details.createItemArea Create the content for an item's row.
+ * @param {function(T[]): any} details.onChange Called with a copy of all items after the user edited the list.
+ * @param {function(): T} details.createNewItem Create an item when the user presses the add button.
+ * @param {string} details.addButtonMessage i18n message name for the add button.
+ * @returns {ListEditor<T>} Info about the created editor.
+ */
+export function createListEditor({
+    createItemArea,
+    onChange,
+    createNewItem,
+    addButtonMessage,
+}) {
+    /** @type {T[]} */
+    let items = [];
+
+    const area = document.createElement('div');
+    area.classList.add('listEditor');
+
+    const rowsArea = document.createElement('div');
+    rowsArea.classList.add('listEditorRows');
+    area.appendChild(rowsArea);
+
+    const addButton = document.createElement('button');
+    addButton.classList.add(messagePrefix + addButtonMessage);
+    area.appendChild(addButton);
+
+    const notifyChange = () => {
+        render();
+        onChange(deepCopy(items));
+    };
+
+    const createButton = (text, callback) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', callback);
+        return button;
+    };
+
+    const render = () => {
+        while (rowsArea.firstChild) {
+            rowsArea.removeChild(rowsArea.firstChild);
+        }
+        items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.classList.add('listEditorRow');
+            rowsArea.appendChild(row);
+
+            const content = document.createElement('div');
+            content.classList.add('listEditorRowContent');
+            content.appendChild(createItemArea({
+                item: deepCopy(item),
+                index,
+                update: (newItem) => {
+                    items[index] = deepCopy(newItem);
+                    onChange(deepCopy(items));
+                },
+            }));
+            row.appendChild(content);
+
+            const up = createButton('▲', () => {
+                if (index === 0) return;
+                items.splice(index - 1, 0, ...items.splice(index, 1));
+                notifyChange();
+            });
+            up.disabled = index === 0;
+            row.appendChild(up);
+
+            const down = createButton('▼', () => {
+                if (index >= items.length - 1) return;
+                items.splice(index + 1, 0, ...items.splice(index, 1));
+                notifyChange();
+            });
+            down.disabled = index >= items.length - 1;
+            row.appendChild(down);
+
+            row.appendChild(createButton('✕', () => {
+                items.splice(index, 1);
+                notifyChange();
+            }));
+        });
+        setTextMessages(rowsArea);
+    };
+
+    addButton.addEventListener('click', () => {
+        items.push(createNewItem());
+        notifyChange();
+    });
+    setTextMessages(area);
+
+    return {
+        area,
+        setItems(newItems) {
+            if (!Array.isArray(newItems)) newItems = [];
+            if (deepCopyCompare(newItems, items)) return;
+            items = deepCopy(newItems);
+            render();
+        },
+        getItems() {
+            return deepCopy(items);
+        },
+    };
+}
@@ -0,0 +1,120 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    kSETTINGS_VERSION,
+    kSETTINGS_VERSION_KEY,
+    migrateSettings,
+    migrateStoredSettings,
+} from '../src/common/settings-migrations.js';
+
+
+/**
+ * Replace the `browser` global with a fake storage area that records writes.
+ *
+ * @param {Object} data The values in the storage area.
+ * @returns {{ data: Object, reads: (string | null)[], writes: Object[], removals: string[][] }} The storage area's data and how it was accessed.
+ */
+function useFakeStorage(data) {
+    const storage = { data, reads: [], writes: [], removals: [] };
+    globalThis.browser = {
+        storage: {
+            local: {
+                async get(keys) {
+                    storage.reads.push(keys);
+                    const copy = JSON.parse(JSON.stringify(storage.data));
+                    if (keys === null) return copy;
+                    return keys in copy ? { [keys]: copy[keys] } : {};
+                },
+                async set(values) {
+                    storage.writes.push(values);
+                    Object.assign(storage.data, values);
+                },
+                async remove(keys) {
+                    storage.removals.push(keys);
+                    for (const key of keys) {
+                        delete storage.data[key];
+                    }
+                },
+            },
+        },
+    };
+    return storage;
+}
+
+
+/** Migrations that are used instead of the real ones. */
+const testMigrations = [
+    {
+        version: 1,
+        migrate(stored) {
+            if (typeof stored.count === 'number') {
+                stored.count = String(stored.count);
+            }
+            return stored;
+        },
+    },
+    {
+        version: 2,
+        migrate(stored) {
+            delete stored.removed;
+            return stored;
+        },
+    },
+];
+
+
+test('migrations are applied in order from the stored version', () => {
+    const stored = { count: 3, removed: true, other: 'value' };
+    const result = migrateSettings(stored, undefined, testMigrations);
+
+    assert.equal(result.version, 2);
+    assert.deepEqual(result.settings, { count: '3', other: 'value' });
+    assert.deepEqual(result.changedKeys, ['count', 'removed']);
+    // The stored object isn't modified:
+    assert.deepEqual(stored, { count: 3, removed: true, other: 'value' });
+
+    assert.deepEqual(migrateSettings({ count: 3, removed: true }, 1, testMigrations).settings, { count: 3 });
+});
+
+test('missing settings are treated as empty', () => {
+    assert.deepEqual(migrateSettings(null, 0, testMigrations), { settings: {}, version: 2, changedKeys: [] });
+    assert.deepEqual(migrateSettings(undefined, 0, testMigrations), { settings: {}, version: 2, changedKeys: [] });
+});
+
+test('current settings are left unchanged', async () => {
+    const stored = { palette: [{ name: 'red', rgb: '#ff0000', title: '', inherit: false }], command_cycleColors: ['red'] };
+    const result = migrateSettings(stored, kSETTINGS_VERSION);
+    assert.deepEqual(result.settings, stored);
+    assert.deepEqual(result.changedKeys, []);
+
+    const storage = useFakeStorage({ ...stored, [kSETTINGS_VERSION_KEY]: kSETTINGS_VERSION });
+    await migrateStoredSettings('local');
+    assert.deepEqual(storage.reads, [kSETTINGS_VERSION_KEY]);
+    assert.deepEqual(storage.writes, []);
+    assert.deepEqual(storage.removals, []);
+});
+
+test('settings without a stored version are current until a migration is added', async () => {
+    const storage = useFakeStorage({ allowMultipleMarks: true });
+    await migrateStoredSettings('local');
+
+    assert.deepEqual(storage.reads, [kSETTINGS_VERSION_KEY]);
+    assert.deepEqual(storage.data, { allowMultipleMarks: true });
+    assert.deepEqual(storage.writes, []);
+});
+
+test('settings from a newer version are left alone', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => { });
+    const data = { palette: [{ name: 'red', rgb: '#ff0000', title: '' }], [kSETTINGS_VERSION_KEY]: kSETTINGS_VERSION + 1 };
+    const storage = useFakeStorage(JSON.parse(JSON.stringify(data)));
+    await migrateStoredSettings('local');
+
+    assert.deepEqual(storage.data, data);
+    assert.deepEqual(storage.reads, [kSETTINGS_VERSION_KEY]);
+    assert.deepEqual(storage.writes, []);
+    assert.deepEqual(storage.removals, []);
+    assert.equal(warn.mock.callCount(), 1);
+});